@@ -0,0 +1,263 @@
+// ===========================
+// 👥 APPROVALS MODULE — Two-Person Change Requests
+// ===========================
+
+/**
+ * Turns the ticked DETAIL REPORT rows into Pending change requests owned by the active user.
+ * Rows that already have an open (Pending/Approved) request for the same target are skipped.
+ *
+ * @returns {Object[]} The requests that were created.
+ */
+function submitChangeRequests() {
+    const requester = getActiveUserEmail();
+    if (!requester) {
+        errorLog("❌ Cannot identify the active user — change requests need a named requester.");
+        return [];
+    }
+
+    const existing = loadChangeRequests();
+    pruneChangeRequestRecords(existing);
+
+    const waivers = loadActiveWaivers();
+    const open = new Set(
+        existing
+            .filter(r => r.status === CHANGE_REQUEST_STATUS.PENDING || r.status === CHANGE_REQUEST_STATUS.APPROVED)
+            .map(r => changeRequestKey(r.email, r.key, r.target))
+    );
+
+    const now = new Date().toISOString();
+    const requests = getDiscrepancyRowsFromSheet()
+        .filter(({ email, key, actual, target }) => target && !findWaiver(waivers, email, key, actual))
+        .filter(({ email, key, target }) => !open.has(changeRequestKey(email, key, target)))
+        .map(({ email, key, actual, target }) => ({
+            requestId: `CR-${Utilities.getUuid().slice(0, 8)}`,
+            email,
+            key,
+            actual,
+            target,
+            requestedBy: requester,
+            requestedAt: now,
+            status: CHANGE_REQUEST_STATUS.PENDING
+        }));
+
+    appendChangeRequests(requests);
+    requests.forEach(({ requestId, email, key, target, requestedBy, requestedAt }) =>
+        storeChangeRequestRecord({ requestId, email, key, target, requestedBy, requestedAt, status: CHANGE_REQUEST_STATUS.PENDING }));
+    infoLog(`📝 ${requester} raised ${requests.length} change request(s) awaiting approval`);
+    return requests;
+}
+
+function approveSelectedRequests() {
+    return reviewSelectedRequests(CHANGE_REQUEST_STATUS.APPROVED);
+}
+
+function rejectSelectedRequests() {
+    return reviewSelectedRequests(CHANGE_REQUEST_STATUS.REJECTED);
+}
+
+/**
+ * Approves or rejects the Pending requests ticked in the Select column, as the active user.
+ * Requests the reviewer may not decide (see validateApproval) are left Pending.
+ *
+ * @param {string} decision - CHANGE_REQUEST_STATUS.APPROVED or CHANGE_REQUEST_STATUS.REJECTED.
+ * @returns {{reviewed: Object[], refused: Array<{requestId: string, reason: string}>}}
+ */
+function reviewSelectedRequests(decision) {
+    const reviewer = getActiveUserEmail();
+    const now = new Date().toISOString();
+    const reviewed = [];
+    const refused = [];
+
+    const requests = loadChangeRequests();
+    pruneChangeRequestRecords(requests);
+
+    requests
+        .filter(r => r.status === CHANGE_REQUEST_STATUS.PENDING && r.selected)
+        .forEach(request => {
+            // The requester comes from the stored record — the sheet's Requested By cell is editable
+            const record = loadChangeRequestRecord(request.requestId);
+            const reason = !record || record.status !== CHANGE_REQUEST_STATUS.PENDING
+                ? 'no pending record for this request (raise it again with "Request Checked Updates")'
+                : decision === CHANGE_REQUEST_STATUS.APPROVED
+                    ? validateApproval(reviewer, record.requestedBy)
+                    : validateApproval(reviewer, null);
+            if (reason) {
+                warnLog(`⚠️ ${request.requestId} (${request.email} / ${request.key}) not ${decision.toLowerCase()}: ${reason}`);
+                refused.push({ requestId: request.requestId, reason });
+                return;
+            }
+            // A rejected request is final — only approvals need a record to apply from
+            if (decision === CHANGE_REQUEST_STATUS.REJECTED) deleteChangeRequestRecord(record.requestId);
+            else storeChangeRequestRecord({ ...record, status: decision, reviewedBy: reviewer, reviewedAt: now });
+            reviewed.push({ ...request, requestedBy: record.requestedBy, status: decision, reviewedBy: reviewer, reviewedAt: now, selected: false });
+        });
+
+    updateChangeRequests(reviewed);
+    infoLog(`👥 ${reviewer || 'Unknown user'} ${decision.toLowerCase()} ${reviewed.length} request(s), ${refused.length} refused`);
+    return { reviewed, refused };
+}
+
+/**
+ * Returns why `reviewer` may not decide a request, or null if they may.
+ * Pass `requester` to enforce the two-person rule (approvals); omit it for rejections.
+ *
+ * @param {string} reviewer
+ * @param {string|null} requester
+ * @param {string[]} [approvers=APPROVAL_WORKFLOW.approvers]
+ * @returns {string|null}
+ */
+function validateApproval(reviewer, requester, approvers = APPROVAL_WORKFLOW.approvers) {
+    const normalize = email => String(email || '').trim().toLowerCase();
+    const who = normalize(reviewer);
+
+    if (!who) return 'reviewer could not be identified';
+    if (approvers.length === 0) return 'APPROVAL_WORKFLOW.approvers is empty — no one may approve until it lists at least one approver';
+    if (!approvers.map(normalize).includes(who)) return `${who} is not an authorized approver`;
+    if (requester && normalize(requester) === who) return 'requester cannot approve their own request';
+    return null;
+}
+
+/**
+ * Re-checks Approved CHANGE REQUESTS rows against their stored records right before applying.
+ * A row only counts if its record is Approved for the same group, key and target, and the recorded
+ * reviewer still passes validateApproval against the recorded requester — so typing "Approved" into
+ * the sheet, or editing a row after approval, applies nothing.
+ *
+ * @param {Object[]} requests - Rows from loadChangeRequests([CHANGE_REQUEST_STATUS.APPROVED]).
+ * @returns {{verified: Object[], refused: Array<{requestId: string, reason: string}>}}
+ */
+function verifyApprovedRequests(requests) {
+    const verified = [];
+    const refused = [];
+
+    requests.forEach(request => {
+        const record = loadChangeRequestRecord(request.requestId);
+        let reason = null;
+        if (!record || record.status !== CHANGE_REQUEST_STATUS.APPROVED) reason = 'no recorded approval';
+        else if (record.email !== request.email || record.key !== request.key || String(record.target) !== String(request.target)) reason = 'row was edited after approval';
+        else reason = validateApproval(record.reviewedBy, record.requestedBy);
+
+        if (reason) {
+            warnLog(`⚠️ ${request.requestId} (${request.email} / ${request.key}) not applied: ${reason}`);
+            refused.push({ requestId: request.requestId, reason });
+            return;
+        }
+        verified.push({ ...request, requestedBy: record.requestedBy, reviewedBy: record.reviewedBy });
+    });
+
+    return { verified, refused };
+}
+
+/**
+ * Marks approved requests Applied or Failed from applySettingsUpdates results (matched by group).
+ */
+function recordAppliedChangeRequests(requests, results) {
+    const byEmail = {};
+    results.forEach(r => byEmail[r.email] = r);
+
+    const updated = requests
+        .filter(r => byEmail[r.email])
+        .map(r => ({
+            ...r,
+            status: byEmail[r.email].success ? CHANGE_REQUEST_STATUS.APPLIED : CHANGE_REQUEST_STATUS.FAILED,
+            batchId: byEmail[r.email].batchId || ''
+        }));
+
+    updateChangeRequests(updated);
+    updated.forEach(r => deleteChangeRequestRecord(r.requestId));
+}
+
+/**
+ * Deletes stored records whose CHANGE REQUESTS row is gone, so requests removed from the sheet
+ * before being applied or rejected do not leave script properties behind.
+ *
+ * @param {Object[]} [requests] - All rows from loadChangeRequests() (loaded when omitted).
+ * @returns {number} The number of records deleted.
+ */
+function pruneChangeRequestRecords(requests = loadChangeRequests()) {
+    const onSheet = new Set(requests.map(r => String(r.requestId)));
+    const orphaned = listChangeRequestRecordIds().filter(id => !onSheet.has(id));
+    orphaned.forEach(deleteChangeRequestRecord);
+    if (orphaned.length > 0) debugLog(`🧹 Deleted ${orphaned.length} change request record(s) with no ${SHEET_NAMES.CHANGE_REQUESTS} row`);
+    return orphaned.length;
+}
+
+function changeRequestKey(email, key, target) {
+    return `${String(email).toLowerCase()}|${key}|${target}`;
+}
+
+function getActiveUserEmail() {
+    return String(Session.getActiveUser().getEmail() || '').toLowerCase();
+}
+
+// ===========================
+// 📋 CHANGE REQUESTS Sheet Access
+// ===========================
+
+/**
+ * @param {string[]} [statuses] - Only return requests in these states (all when omitted).
+ * @returns {Object[]} Requests with their 1-based sheet `row`.
+ */
+function loadChangeRequests(statuses = null) {
+    const headers = HEADERS[SHEET_NAMES.CHANGE_REQUESTS];
+    const sheet = getOrCreateSheet(SHEET_NAMES.CHANGE_REQUESTS, headers);
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) return [];
+
+    const col = name => headers.indexOf(name);
+    return sheet.getRange(2, 1, lastRow - 1, headers.length).getValues()
+        .map((row, i) => ({
+            row: i + 2,
+            requestId: row[col('Request ID')],
+            email: row[col('Email')],
+            key: row[col('Key')],
+            actual: row[col('Actual')],
+            target: row[col('Target')],
+            requestedBy: row[col('Requested By')],
+            requestedAt: row[col('Requested At')],
+            status: row[col('Status')],
+            reviewedBy: row[col('Reviewed By')],
+            reviewedAt: row[col('Reviewed At')],
+            batchId: row[col('Batch ID')],
+            selected: row[col('Select')] === true
+        }))
+        .filter(r => r.requestId && (!statuses || statuses.includes(r.status)));
+}
+
+function appendChangeRequests(requests) {
+    if (requests.length === 0) return;
+
+    const headers = HEADERS[SHEET_NAMES.CHANGE_REQUESTS];
+    const sheet = getOrCreateSheet(SHEET_NAMES.CHANGE_REQUESTS, headers);
+    const startRow = sheet.getLastRow() + 1;
+
+    sheet.getRange(startRow, 1, requests.length, headers.length).setValues(requests.map(changeRequestToRow));
+    sheet.getRange(startRow, headers.indexOf('Select') + 1, requests.length).insertCheckboxes();
+    debugLog(`📝 Appended ${requests.length} change request(s) to ${SHEET_NAMES.CHANGE_REQUESTS}`);
+}
+
+function updateChangeRequests(requests) {
+    if (requests.length === 0) return;
+
+    const headers = HEADERS[SHEET_NAMES.CHANGE_REQUESTS];
+    const sheet = getOrCreateSheet(SHEET_NAMES.CHANGE_REQUESTS, headers);
+    requests.forEach(r => sheet.getRange(r.row, 1, 1, headers.length).setValues([changeRequestToRow(r)]));
+    debugLog(`📝 Updated ${requests.length} change request(s) in ${SHEET_NAMES.CHANGE_REQUESTS}`);
+}
+
+function changeRequestToRow(r) {
+    return [
+        r.requestId,
+        r.email,
+        r.key,
+        r.actual ?? '',
+        r.target,
+        r.requestedBy,
+        r.requestedAt,
+        r.status,
+        r.reviewedBy || '',
+        r.reviewedAt || '',
+        r.batchId || '',
+        r.selected === true
+    ];
+}
@@ -2,12 +2,15 @@
 // 🔐 OAuth2 Service & Token Management
 // ===========================
 
+// Scopes of the OAuth2-library token used for every REST call (the manifest's oauthScopes do not apply to it).
+// An existing install only gets a newly added scope after resetOAuth() and authorizing again.
 const OAUTH_SCOPES = [
   'https://www.googleapis.com/auth/userinfo.email',
   'https://www.googleapis.com/auth/userinfo.profile',
   'https://www.googleapis.com/auth/admin.directory.group',
   'https://www.googleapis.com/auth/admin.directory.group.member',
   'https://www.googleapis.com/auth/admin.directory.user',
+  'https://www.googleapis.com/auth/admin.directory.domain.readonly', // fetchCustomerDomains
   'https://www.googleapis.com/auth/apps.groups.settings',
   'https://www.googleapis.com/auth/script.external_request',
   'https://www.googleapis.com/auth/spreadsheets'
@@ -66,6 +69,17 @@ function getAccessToken() {
   return service.getAccessToken();
 }
 
+/**
+ * Forces a token refresh (e.g. after a 401) and replaces the cached token.
+ * @returns {string}
+ */
+function refreshAccessToken() {
+  const service = getOAuthService();
+  service.refresh();
+  _cachedAccessToken = service.getAccessToken();
+  return _cachedAccessToken;
+}
+
 /**
  * Returns only the authorization URL (used in frontend popups).
  * @returns {string}
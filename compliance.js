@@ -0,0 +1,87 @@
+// ===========================
+// 📈 COMPLIANCE MODULE — History & Trend Tracking
+// ===========================
+
+/**
+ * Appends a run snapshot to COMPLIANCE HISTORY and records per-group compliance transitions.
+ *
+ * @param {string[]} checkedEmails - Every group evaluated this run (errored groups excluded).
+ * @param {Array<Object>} violations - Violations for those groups, including waived ones.
+ * @param {Date} [runTime=new Date()]
+ * @returns {{snapshot: Object, events: Object[]}}
+ */
+function recordComplianceHistory(checkedEmails, violations, runTime = new Date()) {
+    const snapshot = buildComplianceSnapshot(checkedEmails, violations, runTime);
+    appendComplianceSnapshot(snapshot);
+
+    const previousState = loadGroupComplianceState();
+    const { state, events } = diffGroupCompliance(previousState, checkedEmails, violations, runTime);
+    appendGroupComplianceEvents(events);
+    storeGroupComplianceState(state);
+
+    debugLog(`📈 Compliance snapshot: ${snapshot.groupsCompliant}/${snapshot.groupsChecked} compliant, ${events.length} group transition(s)`);
+    return { snapshot, events };
+}
+
+/**
+ * Aggregates one run's results into the COMPLIANCE HISTORY row shape.
+ * @returns {{runTime: string, groupsChecked: number, groupsCompliant: number, openViolations: number, waived: number, bySeverity: Object<string, number>, byKey: Object<string, number>}}
+ */
+function buildComplianceSnapshot(checkedEmails, violations, runTime = new Date()) {
+    const open = violations.filter(v => !v.waived);
+    const nonCompliant = new Set(open.map(v => v.email));
+
+    const bySeverity = {};
+    Object.keys(SEVERITY_WEIGHTS).forEach(s => bySeverity[s] = 0);
+    const byKey = {};
+
+    open.forEach(v => {
+        const severity = v.severity || DEFAULT_SEVERITY;
+        bySeverity[severity] = (bySeverity[severity] || 0) + 1;
+        byKey[v.key] = (byKey[v.key] || 0) + 1;
+    });
+
+    return {
+        runTime: runTime.toISOString(),
+        groupsChecked: checkedEmails.length,
+        groupsCompliant: checkedEmails.filter(email => !nonCompliant.has(email)).length,
+        openViolations: open.length,
+        waived: violations.length - open.length,
+        bySeverity,
+        byKey
+    };
+}
+
+/**
+ * Compares this run with the stored per-group state and emits transition events.
+ * Groups not checked this run keep their previous state.
+ *
+ * @param {Object<string, {since: string, profile: string}>} previousState - Non-compliant groups from the last run.
+ * @returns {{state: Object, events: Object[]}}
+ */
+function diffGroupCompliance(previousState, checkedEmails, violations, runTime = new Date()) {
+    const now = runTime.toISOString();
+    const state = { ...previousState };
+    const events = [];
+
+    const openByEmail = {};
+    violations.filter(v => !v.waived).forEach(v => {
+        if (!openByEmail[v.email]) openByEmail[v.email] = [];
+        openByEmail[v.email].push(v);
+    });
+
+    checkedEmails.forEach(email => {
+        const open = openByEmail[email] || [];
+        const previous = previousState[email];
+
+        if (open.length > 0 && !previous) {
+            state[email] = { since: now, profile: open[0].profile };
+            events.push({ timestamp: now, email, profile: open[0].profile, event: 'Out of compliance', keys: open.map(v => v.key), since: now });
+        } else if (open.length === 0 && previous) {
+            delete state[email];
+            events.push({ timestamp: now, email, profile: previous.profile, event: 'Back in compliance', keys: [], since: previous.since });
+        }
+    });
+
+    return { state, events };
+}
@@ -38,6 +38,15 @@ function getWorkspaceDomain() {
   return getScriptProperties()["GOOGLE_WORKSPACE_DOMAIN"] || "grey-box.ca";
 }
 
+// Comma-separated subset of the customer's domains to inventory (e.g. "grey-box.ca, labs.grey-box.ca");
+// unset means every domain returned by the Directory domains API
+function getConfiguredDomains() {
+  return String(getScriptProperties()["GOOGLE_WORKSPACE_DOMAINS"] || '')
+    .split(',')
+    .map(d => d.trim().toLowerCase())
+    .filter(Boolean);
+}
+
 // ===========================
 // 🔖 ETag Management
 // ===========================
@@ -71,3 +80,13 @@ function getGroupEtag(groupEmail) {
   const etagMap = JSON.parse(PropertiesService.getScriptProperties().getProperty('GROUP_TAGS') || '{}');
   return etagMap[groupEmail] || null;
 }
+
+// --- Group membership (members.list) ---
+function loadGroupMemberETags() {
+  return JSON.parse(PropertiesService.getScriptProperties().getProperty('GROUP_MEMBER_TAGS') || '{}');
+}
+
+function storeGroupMemberETags(etagMap) {
+  PropertiesService.getScriptProperties().setProperty('GROUP_MEMBER_TAGS', JSON.stringify(etagMap));
+  debugLog(`🔄 Stored membership ETags for ${Object.keys(etagMap).length} group(s)`);
+}
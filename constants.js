@@ -15,21 +15,44 @@ const SHEET_NAMES = {
   SUMMARY_REPORT: 'SUMMARY REPORT',
   GROUP_LIST: 'GROUP LIST',               // former "Group Hashes"
   GROUP_LIST_META: 'GROUP METADATA',      // former "Group Emails"
+  GROUP_MEMBERS: 'GROUP MEMBERS',
+  EXTERNAL_MEMBERS: 'EXTERNAL MEMBERS',
+  GROUP_NESTING: 'GROUP NESTING',
+  MEMBERSHIP_SOURCE: 'MEMBERSHIP SOURCE',       // intended membership (source of truth) for managed groups
+  MEMBERSHIP_SYNC_PLAN: 'MEMBERSHIP SYNC PLAN',
+  MEMBERSHIP_UPDATE_LOG: 'MEMBERSHIP UPDATE LOG',
+  GROUP_LIFECYCLE: 'GROUP LIFECYCLE',           // empty / dormant / stale groups and their archive or delete schedule
+  GROUP_REQUESTS: 'GROUP REQUESTS',             // new groups to create with their profile's settings
+  NAMING_REPORT: 'NAMING REPORT',               // groups whose email, name or description break NAMING_POLICY
   ACTIVITY: 'ACTIVITY LOG',
   RUNTIME: 'RUNTIME LOG',
   SETTINGS_UPDATE_LOG: 'SETTINGS UPDATE LOG',
-  GITHUB_ISSUES: 'GITHUB ISSUES'
+  SETTINGS_SNAPSHOTS: 'SETTINGS SNAPSHOTS',   // before/after settings per update batch (rollback source)
+  GITHUB_ISSUES: 'GITHUB ISSUES',
+  POLICY: 'POLICY',
+  WAIVERS: 'WAIVERS',
+  COMPLIANCE_HISTORY: 'COMPLIANCE HISTORY',
+  GROUP_COMPLIANCE_HISTORY: 'GROUP COMPLIANCE HISTORY',
+  CHANGE_REQUESTS: 'CHANGE REQUESTS'
 };
 
 const GROUP_DIRECTORY_HEADERS = {
   [SHEET_NAMES.GROUP_LIST_META]: ['Email', 'New Business Hash', 'New Full Hash', 'Old Business Hash', 'Old Full Hash', 'Old ETag', 'New ETag', 'Last Modified'],
-  [SHEET_NAMES.GROUP_LIST]: ['Email', 'Name', 'Description', 'Direct Members Count', 'Admin Created', 'Last Modified']
+  [SHEET_NAMES.GROUP_LIST]: ['Email', 'Domain', 'Name', 'Description', 'Direct Members Count', 'Admin Created', 'Aliases', 'Non Editable Aliases', 'Pending Changes', 'Last Modified'],
+  [SHEET_NAMES.GROUP_MEMBERS]: ['Group Email', 'Member Email', 'Role', 'Type', 'Status', 'Delivery Settings', 'Member ID', 'Last Modified'],
+  [SHEET_NAMES.GROUP_NESTING]: ['Group Email', 'Domain', 'Direct Members', 'Nested Groups', 'Effective Members', 'Nesting Depth', 'Cycle', 'Unresolved Groups', 'Last Modified'],
+  [SHEET_NAMES.MEMBERSHIP_SOURCE]: ['Group Email', 'Member Email', 'Role'],
+  [SHEET_NAMES.MEMBERSHIP_SYNC_PLAN]: ['Group Email', 'Member Email', 'Action', 'Current Role', 'Target Role', 'Status', 'Last Modified', 'Apply'],
+  [SHEET_NAMES.GROUP_LIFECYCLE]: ['Email', 'Domain', 'Name', 'Direct Members', 'Last Activity', 'Last Admin Change', 'Findings', 'Action', 'Marked By', 'Marked At', 'Execute After', 'Owners Notified', 'Status', 'Confirmed By', 'Last Modified'],
+  [SHEET_NAMES.NAMING_REPORT]: ['Email', 'Domain', 'Name', 'Rule', 'Problem', 'Suggested Fix', 'Last Modified'],
+  [SHEET_NAMES.GROUP_REQUESTS]: ['Email', 'Name', 'Description', 'Profile', 'Owners', 'Provision', 'Status', 'ETag', 'Provisioned By', 'Provisioned At', 'Details']
 };
 
 // Group Settings (Settings API)
 const GROUP_SETTINGS_HEADERS = {
-  [SHEET_NAMES.DETAIL_REPORT]: ['Email', 'Key', 'Expected', 'Actual', 'Hash', 'Last Modified', 'Apply'],
-  [SHEET_NAMES.SUMMARY_REPORT]: ['Email', '# Violations', 'Violated Keys', 'Last Modified']
+  [SHEET_NAMES.DETAIL_REPORT]: ['Email', 'Domain', 'Profile', 'Key', 'Severity', 'Mode', 'Expected', 'Actual', 'Target', 'Changed By', 'Changed At', 'Change', 'Hash', 'Last Modified', 'Apply'],
+  [SHEET_NAMES.SUMMARY_REPORT]: ['Email', 'Domain', 'Profile', 'Risk Score', 'Highest Severity', '# Violations', 'Violated Keys', 'Last Modified'],
+  [SHEET_NAMES.EXTERNAL_MEMBERS]: ['Group Email', 'Domain', 'Member Email', 'Role', 'Type', 'Profile', 'Allow External Members', 'Who Can View Group', 'Who Can View Conversations', 'Who Can Post Message', 'Finding', 'Last Modified']
 };
 
 const SYSTEM_HEADERS = {
@@ -48,11 +71,33 @@ const SYSTEM_HEADERS = {
   'Message',
   'Data'
 ],
-  [SHEET_NAMES.SETTINGS_UPDATE_LOG]: ['Timestamp', 'Email', 'Status', 'Success', 'Updated Keys', 'Error']
+  [SHEET_NAMES.SETTINGS_UPDATE_LOG]: ['Timestamp', 'Email', 'Status', 'Success', 'Updated Keys', 'Error', 'Source', 'Batch ID'],
+  [SHEET_NAMES.MEMBERSHIP_UPDATE_LOG]: ['Timestamp', 'Group Email', 'Member Email', 'Action', 'Status', 'Success', 'Error', 'Source'],
+  [SHEET_NAMES.SETTINGS_SNAPSHOTS]: ['Batch ID', 'Timestamp', 'Email', 'Source', 'Updated Keys', 'Before', 'After', 'Reverted At', 'Reverted By Batch']
 };
+// Editable policy (source of truth for expected settings)
+const POLICY_HEADERS = {
+  [SHEET_NAMES.POLICY]: ['Profile', 'Key', 'Expected', 'Enabled', 'Severity', 'Mode'],
+  [SHEET_NAMES.WAIVERS]: ['Email', 'Key', 'Approved Value', 'Justification', 'Approver', 'Expires']
+};
+
+// Compliance trend tracking (appended every run)
+const HISTORY_HEADERS = {
+  [SHEET_NAMES.COMPLIANCE_HISTORY]: ['Run Time', 'Groups Checked', 'Groups Compliant', 'Open Violations', 'Waived', 'Critical', 'High', 'Medium', 'Low', 'Violations By Key'],
+  [SHEET_NAMES.GROUP_COMPLIANCE_HISTORY]: ['Timestamp', 'Email', 'Profile', 'Event', 'Violated Keys', 'Out Of Compliance Since']
+};
+
+// Two-person approval of settings changes
+const APPROVAL_HEADERS = {
+  [SHEET_NAMES.CHANGE_REQUESTS]: ['Request ID', 'Email', 'Key', 'Actual', 'Target', 'Requested By', 'Requested At', 'Status', 'Reviewed By', 'Reviewed At', 'Batch ID', 'Select']
+};
+
 const HEADERS = {
   ...GROUP_DIRECTORY_HEADERS,
   ...GROUP_SETTINGS_HEADERS,
+  ...POLICY_HEADERS,
+  ...HISTORY_HEADERS,
+  ...APPROVAL_HEADERS,
   ...SYSTEM_HEADERS
 };
 
@@ -65,8 +110,8 @@ const SHEET_CONFIG = { ...HEADERS}
 const FORMATTING_CONFIG = {
   [SHEET_NAMES.GROUP_LIST]: {
     hide: ['Last Modified', 'Old ETag'],
-    resize: ['Email', 'Name', 'Description'],
-    wrap: [],
+    resize: ['Email', 'Domain', 'Name', 'Description'],
+    wrap: ['Aliases', 'Non Editable Aliases', 'Pending Changes'],
     hidden: false
   },
   [SHEET_NAMES.GROUP_LIST_META]: {
@@ -75,15 +120,93 @@ const FORMATTING_CONFIG = {
     wrap: [],
     hidden: true
   },
+  [SHEET_NAMES.GROUP_MEMBERS]: {
+    hide: ['Member ID'],
+    resize: ['Group Email', 'Member Email', 'Role', 'Type', 'Status', 'Delivery Settings', 'Last Modified'],
+    wrap: [],
+    hidden: false
+  },
+  [SHEET_NAMES.GROUP_NESTING]: {
+    hide: [],
+    resize: ['Group Email', 'Domain', 'Direct Members', 'Nested Groups', 'Effective Members', 'Nesting Depth', 'Last Modified'],
+    wrap: ['Cycle', 'Unresolved Groups'],
+    hidden: false
+  },
+  [SHEET_NAMES.MEMBERSHIP_SOURCE]: {
+    hide: [],
+    resize: ['Group Email', 'Member Email', 'Role'],
+    wrap: [],
+    hidden: false
+  },
+  [SHEET_NAMES.MEMBERSHIP_SYNC_PLAN]: {
+    hide: [],
+    resize: ['Group Email', 'Member Email', 'Action', 'Current Role', 'Target Role', 'Status', 'Last Modified'],
+    wrap: [],
+    hidden: false
+  },
+  [SHEET_NAMES.GROUP_LIFECYCLE]: {
+    hide: [],
+    resize: ['Email', 'Domain', 'Name', 'Direct Members', 'Last Activity', 'Last Admin Change', 'Findings', 'Action', 'Marked By', 'Marked At', 'Execute After', 'Status', 'Confirmed By', 'Last Modified'],
+    wrap: ['Owners Notified'],
+    hidden: false
+  },
+  [SHEET_NAMES.NAMING_REPORT]: {
+    hide: [],
+    resize: ['Email', 'Domain', 'Name', 'Rule', 'Last Modified'],
+    wrap: ['Problem', 'Suggested Fix'],
+    hidden: false
+  },
+  [SHEET_NAMES.GROUP_REQUESTS]: {
+    hide: ['ETag'],
+    resize: ['Email', 'Name', 'Profile', 'Status', 'Provisioned By', 'Provisioned At'],
+    wrap: ['Description', 'Owners', 'Details'],
+    hidden: false
+  },
   [SHEET_NAMES.DETAIL_REPORT]: {
     hide: ['Hash', 'Last Modified'],
-    resize: ['Email', 'Expected', 'Actual', 'key'],
+    resize: ['Email', 'Domain', 'Profile', 'Severity', 'Mode', 'Expected', 'Actual', 'Target', 'Changed By', 'Changed At', 'key'],
     wrap: [],
     hidden: false
   },
   [SHEET_NAMES.SUMMARY_REPORT]: {
     hide: [],
-    resize: ['Email', '# Violations', 'Violated Keys', 'Last Modified'],
+    resize: ['Email', 'Domain', 'Profile', 'Risk Score', 'Highest Severity', '# Violations', 'Violated Keys', 'Last Modified'],
+    wrap: [],
+    hidden: false
+  },
+  [SHEET_NAMES.EXTERNAL_MEMBERS]: {
+    hide: [],
+    resize: ['Group Email', 'Domain', 'Member Email', 'Role', 'Type', 'Profile', 'Allow External Members', 'Who Can View Group', 'Who Can View Conversations', 'Who Can Post Message', 'Finding'],
+    wrap: [],
+    hidden: false
+  },
+  [SHEET_NAMES.POLICY]: {
+    hide: [],
+    resize: ['Profile', 'Key', 'Expected', 'Enabled', 'Severity', 'Mode'],
+    wrap: [],
+    hidden: false
+  },
+  [SHEET_NAMES.WAIVERS]: {
+    hide: [],
+    resize: ['Email', 'Key', 'Approved Value', 'Approver', 'Expires'],
+    wrap: ['Justification'],
+    hidden: false
+  },
+  [SHEET_NAMES.COMPLIANCE_HISTORY]: {
+    hide: [],
+    resize: ['Run Time', 'Groups Checked', 'Groups Compliant', 'Open Violations', 'Waived'],
+    wrap: ['Violations By Key'],
+    hidden: false
+  },
+  [SHEET_NAMES.GROUP_COMPLIANCE_HISTORY]: {
+    hide: [],
+    resize: ['Timestamp', 'Email', 'Profile', 'Event', 'Out Of Compliance Since'],
+    wrap: ['Violated Keys'],
+    hidden: false
+  },
+  [SHEET_NAMES.CHANGE_REQUESTS]: {
+    hide: [],
+    resize: ['Request ID', 'Email', 'Key', 'Actual', 'Target', 'Requested By', 'Requested At', 'Status', 'Reviewed By', 'Reviewed At', 'Batch ID'],
     wrap: [],
     hidden: false
   },
@@ -95,10 +218,22 @@ const FORMATTING_CONFIG = {
   },
   [SHEET_NAMES.SETTINGS_UPDATE_LOG]: {
     hide: [],
-    resize: ['Email', 'Status', 'Success', 'Updated Keys'],
+    resize: ['Email', 'Status', 'Success', 'Updated Keys', 'Batch ID'],
+    wrap: ['Error'],
+    hidden: true
+  },
+  [SHEET_NAMES.MEMBERSHIP_UPDATE_LOG]: {
+    hide: [],
+    resize: ['Group Email', 'Member Email', 'Action', 'Status', 'Success', 'Source'],
     wrap: ['Error'],
     hidden: true
   },
+  [SHEET_NAMES.SETTINGS_SNAPSHOTS]: {
+    hide: ['Before', 'After'],
+    resize: ['Batch ID', 'Timestamp', 'Email', 'Source', 'Updated Keys', 'Reverted At', 'Reverted By Batch'],
+    wrap: [],
+    hidden: true
+  },
 }
 
 // ===========================
@@ -116,6 +251,148 @@ const UPDATED_SETTINGS = {
   "whoCanViewConversations": "ALL_IN_DOMAIN_CAN_VIEW"
 };
 
+// Allowed values per Groups Settings key, used to validate POLICY sheet rows.
+// Each list is ordered from MOST restrictive to MOST permissive — "at most" comparisons
+// and remediation (which may only tighten a setting) rely on this ordering.
+// Boolean settings are returned by the API as the strings "true" / "false".
+const GROUP_SETTINGS_SCHEMA = {
+  "whoCanJoin": ["INVITED_CAN_JOIN", "CAN_REQUEST_TO_JOIN", "ALL_IN_DOMAIN_CAN_JOIN", "ANYONE_CAN_JOIN"],
+  "whoCanViewMembership": ["ALL_OWNERS_CAN_VIEW", "ALL_MANAGERS_CAN_VIEW", "ALL_MEMBERS_CAN_VIEW", "ALL_IN_DOMAIN_CAN_VIEW"],
+  "whoCanViewGroup": ["ALL_OWNERS_CAN_VIEW", "ALL_MANAGERS_CAN_VIEW", "ALL_MEMBERS_CAN_VIEW", "ALL_IN_DOMAIN_CAN_VIEW", "ANYONE_CAN_VIEW"],
+  "whoCanViewConversations": ["ALL_OWNERS_CAN_VIEW", "ALL_MANAGERS_CAN_VIEW", "ALL_MEMBERS_CAN_VIEW", "ALL_IN_DOMAIN_CAN_VIEW", "ANYONE_CAN_VIEW"],
+  "whoCanDiscoverGroup": ["ALL_MEMBERS_CAN_DISCOVER", "ALL_IN_DOMAIN_CAN_DISCOVER", "ANYONE_CAN_DISCOVER"],
+  "whoCanPostMessage": ["NONE_CAN_POST", "ALL_OWNERS_CAN_POST", "ALL_MANAGERS_CAN_POST", "ALL_MEMBERS_CAN_POST", "ALL_IN_DOMAIN_CAN_POST", "ANYONE_CAN_POST"],
+  "whoCanInvite": ["NONE_CAN_INVITE", "ALL_OWNERS_CAN_INVITE", "ALL_MANAGERS_CAN_INVITE", "ALL_MEMBERS_CAN_INVITE"],
+  "whoCanContactOwner": ["ALL_OWNERS_CAN_CONTACT", "ALL_MANAGERS_CAN_CONTACT", "ALL_MEMBERS_CAN_CONTACT", "ALL_IN_DOMAIN_CAN_CONTACT", "ANYONE_CAN_CONTACT"],
+  // NONE leaves the group with no moderator at all, so it ranks as the most permissive
+  "whoCanModerateContent": ["OWNERS_ONLY", "OWNERS_AND_MANAGERS", "ALL_MEMBERS", "NONE"],
+  "whoCanModerateMembers": ["OWNERS_ONLY", "OWNERS_AND_MANAGERS", "ALL_MEMBERS", "NONE"],
+  "whoCanLeaveGroup": ["NONE_CAN_LEAVE", "ALL_MANAGERS_CAN_LEAVE", "ALL_MEMBERS_CAN_LEAVE"],
+  "messageModerationLevel": ["MODERATE_ALL_MESSAGES", "MODERATE_NON_MEMBERS", "MODERATE_NEW_MEMBERS", "MODERATE_NONE"],
+  "spamModerationLevel": ["REJECT", "SILENTLY_MODERATE", "MODERATE", "ALLOW"],
+  "allowExternalMembers": ["false", "true"],
+  "allowWebPosting": ["false", "true"],
+  "membersCanPostAsTheGroup": ["false", "true"],
+  "includeInGlobalAddressList": ["false", "true"],
+  "archiveOnly": ["true", "false"]
+};
+
+// Policy keys derived from GROUP MEMBERS rather than the Settings API (same restrictive → permissive
+// ordering). They can be set on the POLICY sheet like any other key but are never remediated by PATCH.
+// e.g. Profile "internal-team", Key "externalMembers", Expected "NONE" → groups with outside members are violations.
+const MEMBERSHIP_POLICY_SCHEMA = {
+  "externalMembers": ["NONE", "PRESENT"],
+  // NO_OWNER: zero owners (including groups with no members) · INACTIVE_OWNER: at least one owner is suspended/deleted
+  // UNDER_MANAGED: fewer active owners + managers than OWNERSHIP_POLICY.minOwnersAndManagers
+  "ownership": ["OK", "UNDER_MANAGED", "INACTIVE_OWNER", "NO_OWNER"],
+  // TOO_DEEP: nested groups go deeper than NESTING_POLICY.maxDepth · CYCLE: a group (indirectly) contains itself
+  "nesting": ["OK", "TOO_DEEP", "CYCLE"]
+};
+
+// Membership checks every profile gets unless its POLICY rows override them
+const MEMBERSHIP_POLICY_DEFAULTS = {
+  "ownership": "OK",
+  "nesting": "OK"
+};
+
+const MEMBER_ROLES = ['OWNER', 'MANAGER', 'MEMBER'];
+
+const OWNERSHIP_POLICY = {
+  minOwnersAndManagers: 2
+};
+
+const NESTING_POLICY = {
+  maxDepth: 3   // a group containing a group is depth 1
+};
+
+const POLICY_SCHEMA = { ...GROUP_SETTINGS_SCHEMA, ...MEMBERSHIP_POLICY_SCHEMA };
+
+// How a POLICY row's Expected value is compared with the group's actual value.
+const COMPARISON_MODES = {
+  EXACT: 'exactly',     // actual must equal Expected
+  ONE_OF: 'one of',     // Expected is a comma-separated list of acceptable values
+  AT_MOST: 'at most'    // actual must be at most as permissive as Expected
+};
+
+// Used for POLICY rows with a blank Mode. Exact matching keeps existing rows behaving as before;
+// a profile opts into "at most" / "one of" per row through the Mode column.
+const DEFAULT_COMPARISON_MODE = COMPARISON_MODES.EXACT;
+
+// Severity weights feed the per-group risk score (sum of weights of open violations).
+const SEVERITY_WEIGHTS = {
+  low: 1,
+  medium: 3,
+  high: 7,
+  critical: 15
+};
+
+// Default severity per key; a POLICY row's Severity cell overrides it for that profile.
+const POLICY_KEY_SEVERITY = {
+  "whoCanViewGroup": "critical",
+  "whoCanViewConversations": "critical",
+  "allowExternalMembers": "high",
+  "externalMembers": "high",
+  "ownership": "high",
+  "nesting": "medium",
+  "whoCanPostMessage": "high",
+  "whoCanJoin": "high",
+  "whoCanDiscoverGroup": "medium",
+  "whoCanViewMembership": "medium",
+  "whoCanInvite": "medium",
+  "whoCanModerateContent": "medium",
+  "whoCanModerateMembers": "medium",
+  "messageModerationLevel": "medium",
+  "membersCanPostAsTheGroup": "medium",
+  "whoCanContactOwner": "low",
+  "whoCanLeaveGroup": "low",
+  "spamModerationLevel": "low",
+  "allowWebPosting": "low",
+  "includeInGlobalAddressList": "low",
+  "archiveOnly": "low"
+};
+
+const DEFAULT_SEVERITY = 'medium';
+
+// ===========================
+// 🗂️ Policy Profiles
+// ===========================
+
+// Each profile is a full set of expected settings. UPDATED_SETTINGS remains the
+// baseline that the default profile (and any profile overrides) start from.
+// These are the defaults used to seed the POLICY sheet, which takes over once populated.
+const DEFAULT_POLICY_PROFILE = 'internal-team';
+
+const POLICY_PROFILES = {
+  'internal-team': { ...UPDATED_SETTINGS },
+  'announce-only': {
+    ...UPDATED_SETTINGS,
+    "whoCanPostMessage": "ALL_MANAGERS_CAN_POST",
+    "whoCanJoin": "INVITED_CAN_JOIN",
+    "whoCanInvite": "ALL_MANAGERS_CAN_INVITE"
+  },
+  'external-support': {
+    ...UPDATED_SETTINGS,
+    "whoCanPostMessage": "ANYONE_CAN_POST",
+    "whoCanViewMembership": "ALL_MANAGERS_CAN_VIEW",
+    "whoCanViewConversations": "ALL_MANAGERS_CAN_VIEW",
+    "whoCanJoin": "INVITED_CAN_JOIN"
+  }
+};
+
+// Well-known role addresses (email local parts). POLICY_PROFILE_RULES and NAMING_POLICY.exemptEmailPattern
+// are both built from these, so a role address gets its profile and is exempt from naming rules alike.
+const ROLE_ADDRESS_LOCAL_PARTS = {
+  support: ['support', 'help', 'contact'],
+  announce: ['announce', 'announcements', 'all', 'news']
+};
+
+// Evaluated top to bottom — the first matching rule decides the profile.
+// A rule matches on any of: explicit `emails` (primary or alias), `emailPattern` or `namePattern` (case-insensitive regex).
+const POLICY_PROFILE_RULES = [
+  { profile: 'external-support', emails: [], emailPattern: `^(${ROLE_ADDRESS_LOCAL_PARTS.support.join('|')})@` },
+  { profile: 'announce-only', emails: [], emailPattern: `^(${ROLE_ADDRESS_LOCAL_PARTS.announce.join('|')})@`, namePattern: 'announce' }
+];
+
 // ===========================
 // ⚙️ Toggle Flags
 // ===========================
@@ -123,6 +400,163 @@ const UPDATED_SETTINGS = {
 const CHECK_BUSINESS_HASH = true;
 const CHECK_FULL_HASH = true;
 
+// ===========================
+// 📡 Request Batching
+// ===========================
+
+// Settings and group detail requests sent together per UrlFetchApp.fetchAll call.
+// Lower it if the Groups Settings API starts answering 429 (rate limited).
+const URL_FETCH_BATCH_SIZE = 25;
+
+// fetchWithDefaults / fetchAllWithDefaults retry these statuses with exponential backoff and jitter.
+// A Retry-After longer than maxDelayMs is not waited out — the response is returned as is.
+const HTTP_RETRY = {
+  maxRetries: 4,
+  baseDelayMs: 1000,
+  maxDelayMs: 32000,
+  retryStatuses: [429, 500, 502, 503, 504]
+};
+
+// ===========================
+// 👥 Two-Person Approval
+// ===========================
+
+// When required, "Apply" ticks on the DETAIL REPORT only raise change requests; updateGroupSettings
+// applies nothing until a different, listed approver has approved them on CHANGE REQUESTS.
+// Scheduled auto-remediation (below) is pre-approved by its key allowlist and is not gated.
+// Fails closed: with `required` on and no approvers listed, nothing can be approved or applied.
+const APPROVAL_WORKFLOW = {
+  required: true,
+  approvers: []   // must list at least one approver, e.g. ['secops-lead@grey-box.ca']
+};
+
+const CHANGE_REQUEST_STATUS = {
+  PENDING: 'Pending',
+  APPROVED: 'Approved',
+  REJECTED: 'Rejected',
+  APPLIED: 'Applied',
+  FAILED: 'Failed'
+};
+
+// ===========================
+// 🤖 Scheduled Auto-Remediation
+// ===========================
+
+const AUTO_REMEDIATION = {
+  // Only these keys are ever fixed unattended; everything else still needs "Apply Checked Updates"
+  allowedKeys: ['whoCanViewGroup', 'whoCanViewConversations', 'whoCanJoin', 'allowExternalMembers'],
+  maxGroupsPerRun: 10,
+  // Groups changed by a human within this window are left alone
+  humanChangeCooldownHours: 24,
+  // Accounts whose audit events count as automation rather than human changes
+  // (the effective script user is always included)
+  automationActors: [],
+  triggerEveryHours: 6
+};
+
+// ===========================
+// 🗂️ Group Lifecycle
+// ===========================
+
+const LIFECYCLE_POLICY = {
+  // How far back the Reports API is read (it keeps ~180 days). A group with no event in this window has been
+  // inactive at least this long; only a failed fetch leaves its activity unknown (never flagged).
+  lookbackDays: 180,
+  // Newest event in the Reports API "groups" application (posts, joins, owner changes) older than this → Dormant
+  dormantDays: 90,
+  // Newest admin audit change (GROUP_AUDIT_EVENT_NAMES) older than this → Stale; keep it at most lookbackDays
+  staleDays: 150,
+  // Owners are emailed when a group is marked; it is archived or deleted once this many days have passed
+  graceDays: 14,
+  triggerEveryHours: 24
+};
+
+const LIFECYCLE_ACTIONS = ['Archive', 'Delete'];
+
+// Deletes are never run by the trigger: a due Delete waits as AWAITING_CONFIRMATION for "Confirm Lifecycle Deletions"
+const LIFECYCLE_STATUS = {
+  SCHEDULED: 'Scheduled',
+  AWAITING_CONFIRMATION: 'Awaiting Confirmation',
+  ARCHIVED: 'Archived',
+  DELETED: 'Deleted',
+  CANCELLED: 'Cancelled',
+  FAILED: 'Failed'
+};
+
+// ===========================
+// 🏷️ Naming Conventions
+// ===========================
+
+// Checked by lintGroupName during listGroups (NAMING REPORT) and, when enforced, before provisioning.
+// Set a rule to an empty list / false to turn it off.
+const NAMING_POLICY = {
+  prefixes: ['team-', 'ext-', 'list-'],   // the email's local part must start with one of these
+  requireDescription: true,
+  lowercaseEmail: true,                    // Directory emails come back lowercased; this catches addresses from elsewhere
+  exemptEmails: [],                        // e.g. ['postmaster@grey-box.ca']
+  exemptEmailPattern: `^(${Object.values(ROLE_ADDRESS_LOCAL_PARTS).flat().join('|')})@`,
+  enforceOnProvisioning: true
+};
+
+// ===========================
+// ✏️ GROUP LIST Sync
+// ===========================
+
+// GROUP LIST columns (as normalized group keys) whose edits pushGroupListEdits sends back to the Directory API
+const GROUP_LIST_EDITABLE_FIELDS = ['name', 'description'];
+
+// ===========================
+// 🔍 User Lookup
+// ===========================
+
+// Group settings the user lookup sidebar shows next to each group — what a member can see and where they can post
+const USER_LOOKUP_SETTINGS = [
+  'whoCanViewGroup',
+  'whoCanViewMembership',
+  'whoCanDiscoverGroup',
+  'whoCanPostMessage',
+  'allowExternalMembers',
+  'archiveOnly'
+];
+
+// ===========================
+// ➕ Group Provisioning
+// ===========================
+
+// The Settings API can lag a newly created group by a few seconds, so the settings PATCH is retried
+const GROUP_PROVISIONING = {
+  settingsAttempts: 3,
+  retryDelayMs: 2000
+};
+
+// ===========================
+// 🕵️ Admin Audit (Reports API)
+// ===========================
+
+// Admin console audit events that can change a group's settings or metadata
+const GROUP_AUDIT_EVENT_NAMES = [
+  'CHANGE_GROUP_SETTING',
+  'CHANGE_GROUP_NAME',
+  'CHANGE_GROUP_DESCRIPTION',
+  'CHANGE_GROUP_EMAIL'
+];
+
+// Reports API "groups" application events for setting changes owners and managers make in Google Groups;
+// the human-change cooldown of scheduled remediation counts these as well as the admin events above
+const GROUPS_APP_SETTING_EVENT_NAMES = [
+  'change_acl_permission',
+  'change_basic_setting',
+  'change_identity_setting',
+  'change_info_setting',
+  'change_new_members_restrictions_setting',
+  'change_post_replies_setting',
+  'change_spam_moderation_setting',
+  'change_topic_setting'
+];
+
+// Used when LAST_GROUP_SYNC has never been recorded
+const AUDIT_LOOKBACK_HOURS = 24;
+
 // ===========================
 // 🌐 API URL Definitions
 // ===========================
@@ -130,6 +564,8 @@ const CHECK_FULL_HASH = true;
 const API_URLS = {
   group: "https://admin.googleapis.com/admin/directory/v1/groups/",
   groupQuery: "https://admin.googleapis.com/admin/directory/v1/groups",
-  groupSetting: "https://www.googleapis.com/groups/v1/groups/"
+  groupSetting: "https://www.googleapis.com/groups/v1/groups/",
+  domains: "https://admin.googleapis.com/admin/directory/v1/customer/my_customer/domains",
+  user: "https://admin.googleapis.com/admin/directory/v1/users/"
 };
 const GITHUB_SECRET = PropertiesService.getScriptProperties().getProperty('GITHUB_WEBHOOK_SECRET');
\ No newline at end of file
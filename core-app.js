@@ -31,7 +31,7 @@ function listGroups(options) {
 
     return benchmark("listGroups", () => {
         try {
-            const { normalizedData, metaData } = fetchAllGroupData(getWorkspaceDomain(), executionOptions);
+            const { normalizedData, metaData } = fetchAllDomainGroupData(resolveWorkspaceDomains(), executionOptions);
 
             if (!Array.isArray(normalizedData) || normalizedData.length === 0) {
                 debugLog("No valid group data retrieved.");
@@ -48,8 +48,10 @@ function listGroups(options) {
                 return normalizedData;
             }
 
-            // ✅ Proceed to write if changed or forced
-            writeGroupListToSheet(normalizedData, executionOptions.cleanRun);
+            // ✅ Proceed to write if changed or forced — keeping unpushed Name / Description edits
+            const previousData = getStoredData("GROUP_NORMALIZED_DATA") || [];
+            writeGroupListToSheet(mergePendingGroupListEdits(normalizedData, previousData, readGroupListCells()), executionOptions.cleanRun);
+            writeNamingReport(lintGroupNames(normalizedData));
 
             if (metaData.length > 0) {
                 writeGroupMetaSheet(metaData, executionOptions.cleanRun);
@@ -81,6 +83,7 @@ function listGroups(options) {
 
             // 💾 Hash tracking
             storeDataAndHash("GROUP_NORMALIZED_DATA", normalizedData);
+            groupAliasIndex = null;
 
             const perGroupHashMap = {};
             metaData.forEach(meta => {
@@ -112,6 +115,59 @@ function listGroups(options) {
     }, 2000);
 }
 
+/**
+ * Refreshes the GROUP MEMBERS inventory. Groups whose membership ETag matched or whose member
+ * hash is unchanged keep their existing rows; only changed groups are rewritten.
+ * Additions, removals and role changes are logged to the ACTIVITY LOG, and when anything changed,
+ * GROUP NESTING (effective members, depth, cycles) is rebuilt.
+ *
+ * @param {Object} [options] - Execution overrides (bypassETag, bypassHash, manual, cleanRun).
+ * @returns {{all: Object[], changed: Object[], unchanged: Object[], errored: Object[]}}
+ */
+function listGroupMembers(options) {
+    const executionOptions = resolveExecutionOptions(options);
+    if (executionOptions.cleanRun) {
+        debugLog("🧽 cleanRun: Clearing GROUP_MEMBERS_HASH_MAP and GROUP_MEMBER_TAGS...");
+        PropertiesService.getScriptProperties().deleteProperty("GROUP_MEMBERS_HASH_MAP");
+        PropertiesService.getScriptProperties().deleteProperty("GROUP_MEMBER_TAGS");
+    }
+
+    return benchmark("listGroupMembers", () => {
+        const groupEmails = resolveGroupEmails();
+        if (groupEmails.length === 0) {
+            errorLog("❌ No group emails resolved — skipping membership inventory.");
+            return { all: [], changed: [], unchanged: [], errored: [] };
+        }
+
+        // Groups with a stored membership hash have a trustworthy baseline to diff against
+        const knownGroups = new Set(Object.keys(loadGroupMembersHashMap()));
+        const result = fetchAllGroupMembers(groupEmails, executionOptions);
+
+        // Errored groups keep their previous rows rather than disappearing from the inventory
+        if (result.changed.length > 0 || executionOptions.cleanRun) {
+            const previousMembers = readGroupMembersFromSheet();
+            const membershipChanges = result.changed
+                .filter(r => knownGroups.has(r.email))
+                .reduce((all, r) => all.concat(diffGroupMembers(r.email, previousMembers[r.email] || [], r.members)), []);
+
+            writeGroupMembersSheet(result.changed, groupEmails);
+            recordMembershipChanges(membershipChanges);
+
+            // 🪆 Effective membership changes whenever any nested group changes, so recompute for all
+            const membersByGroup = readGroupMembersFromSheet();
+            writeGroupNestingReport(groupEmails.map(email => expandGroupMembership(email, membersByGroup)));
+        } else {
+            debugLog("✅ No membership changes detected — skipping write.");
+        }
+
+        const memberCount = result.changed.reduce((n, r) => n + r.members.length, 0);
+        logEventToSheet("GroupMembersLog", "all groups", result.changed.length > 0 ? "Fetched & Updated" : "No Change", "",
+            `${result.changed.length} group(s) refreshed (${memberCount} members), ${result.unchanged.length} unchanged, ${result.errored.length} errored`);
+
+        return result;
+    }, 2000);
+}
+
 function listGroupSettings(options) {
     const executionOptions = resolveExecutionOptions(options);
     debugLog(`🔧 listGroupSettings options:\n` + JSON.stringify(executionOptions, null, 2));
@@ -123,6 +179,11 @@ function listGroupSettings(options) {
     }
 
     const result = benchmark("listGroupSettings", () => {
+        const { errors: policyErrors } = loadPolicySheet();
+        if (policyErrors.length > 0) {
+            errorLog(`❌ ${policyErrors.length} POLICY row(s) rejected — see entries above. Continuing with valid rows only.`);
+        }
+
         const groupEmails = resolveGroupEmails();
         debugLog(`📧 Resolved group emails: ${groupEmails.length}`);
         debugLog(JSON.stringify(groupEmails, null, 2));
@@ -133,7 +194,11 @@ function listGroupSettings(options) {
             return [];
         }
 
-        const { changed, all, errored } = fetchAllGroupSettings(groupEmails, executionOptions);
+        // Snapshot before fetching — fetchAllGroupSettings stores the refreshed map
+        const previousHashMap = loadGroupSettingsHashMap();
+        const membersByGroup = readGroupMembersFromSheet();
+        const membershipSettings = deriveMembershipSettings(membersByGroup, getStoredData("GROUP_NORMALIZED_DATA") || []);
+        const { changed, all, errored } = fetchAllGroupSettings(groupEmails, { ...executionOptions, membershipSettings });
         debugLog(`📦 fetchAllGroupSettings → total: ${all.length}, changed: ${changed.length}, errored: ${errored.length}`);
 
         if (!Array.isArray(all) || all.length === 0) {
@@ -147,11 +212,10 @@ function listGroupSettings(options) {
         const validForHashing = entriesWithSettings.filter(r => r.hashes);
         debugLog(`✅ Groups with usable settings (validForHashing): ${validForHashing.length}`);
 
-        const previousHashMap = loadGroupSettingsHashMap();
         const newHashMap = generateGroupSettingsHashMap(validForHashing);
         logHashDifferences(newHashMap, previousHashMap);
 
-        const changedGroupCount = getGroupsWithHashChanges(newHashMap).length;
+        const changedGroupCount = getGroupsWithHashChanges(newHashMap, previousHashMap).length;
         debugLog(`🔁 Changed group count (by hash): ${changedGroupCount}`);
         logEventToSheet("GroupSettingsLog", "GroupSettings", "Hash Comparison", "", `${changedGroupCount} group(s) with changed hashes`);
 
@@ -159,11 +223,33 @@ function listGroupSettings(options) {
             debugLog("ℹ️ No hash changes detected — continuing to check for setting violations anyway.");
         }
 
-        storeGroupSettingsHashMap(newHashMap);
+        // Merge so groups that were unchanged this run keep their stored hashes
+        storeGroupSettingsHashMap({ ...previousHashMap, ...newHashMap });
         debugLog(`📊 Stored new hash map for ${Object.keys(newHashMap).length} group(s).`);
 
-        const { violations, preview } = filterGroupSettings(entriesWithSettings);
-        debugLog(`🚨 Violations found: ${violations.length}`);
+        // 🕵️ Attribute business-hash drift to the admin who made the change
+        const driftedEmails = getGroupsWithBusinessHashChanges(newHashMap, previousHashMap);
+        const driftChanges = attributeSettingsDrift(driftedEmails);
+
+        // 🌍 External members, cross-checked against allowExternalMembers and policy
+        writeExternalMembersReport(auditExternalMembers(entriesWithSettings, membersByGroup));
+
+        const waivers = loadActiveWaivers();
+
+        // 📈 History covers every group with settings, not just those whose hashes changed
+        const { violations: allViolations } = filterGroupSettings(entriesWithSettings, { waivers, includeUnchanged: true });
+        recordComplianceHistory(entriesWithSettings.map(e => e.email), allViolations);
+
+        const { violations, preview } = filterGroupSettings(entriesWithSettings, { waivers });
+        violations.forEach(v => {
+            const change = findSettingChange(driftChanges, v.email, v.key);
+            if (!change) return;
+            v.changedBy = change.actor;
+            v.changedAt = change.time;
+            v.change = `${change.oldValue || '∅'} → ${change.newValue || '∅'}`;
+        });
+        const activeViolations = violations.filter(v => !v.waived);
+        debugLog(`🚨 Violations found: ${activeViolations.length} (${violations.length - activeViolations.length} waived)`);
         if (preview.length > 0) {
             debugLog(`🔍 Sample violations:\n` + preview.join('\n'));
         }
@@ -173,13 +259,13 @@ function listGroupSettings(options) {
             return all;
         }
 
-        const violationKeyMap = generateViolationKeyMap(violations);
-        debugLog("🧩 Violation key map generated.");
-        const rowMap = writeDetailReport(violations);
+        const summaryRows = buildViolationSummary(activeViolations);
+        debugLog("🧩 Violation summary generated.");
+        writeDetailReport(expandInactiveOwnerViolations(violations, membersByGroup));
         debugLog("📝 Detail report written.");
-        writeSummaryReport(rowMap, violationKeyMap);
+        writeSummaryReport(summaryRows);
         debugLog("📝 Summary report written.");
-        debugLog(`🔍 Checked ${groupEmails.length} groups. Found ${violations.length} key-level violations.`);
+        debugLog(`🔍 Checked ${groupEmails.length} groups. Found ${activeViolations.length} key-level violations.`);
 
         if (errored.length > 0) {
             errorLog(`❌ ${errored.length} groups could not be processed.`);
@@ -291,53 +377,85 @@ function runScript() {
 }
 
 /**
- * ✅ Refactored filterGroupSettings — returns violations + preview array
+ * Compares each group's settings against the policy profile that applies to it.
+ * Violations covered by an active waiver are kept but flagged `waived`.
+ *
+ * @param {Array<Object>} groupSettingsData - Array of objects with {email, settings}.
+ * @param {Object} [options] - `limit` caps the preview length; `waivers` defaults to loadActiveWaivers();
+ *   `includeUnchanged` also evaluates groups whose hashes did not change.
+ * @returns {{violations: Object[], preview: string[]}} Violations carry the resolved `profile` name.
  */
-function filterGroupSettings(groupSettingsData, options = { limit: 3 }) {
+function filterGroupSettings(groupSettingsData, options = {}) {
+    const { limit = 3, waivers = loadActiveWaivers(), includeUnchanged = false } = options;
     const now = new Date().toISOString();
-    const keysToCheck = Object.keys(UPDATED_SETTINGS);
     const violations = [];
 
     groupSettingsData.forEach(entry => {
         const { email, settings = {} } = entry;
-        if (!email || entry.unchanged || entry.error) return;
+        if (!email || entry.error || (entry.unchanged && !includeUnchanged)) return;
 
-        const { businessHash } = generateGroupSettingsHashPair(settings);
+        const profile = resolvePolicyProfile({ email, name: settings.name });
+        const { businessHash } = generateGroupSettingsHashPair(settings, profile);
 
-        keysToCheck.forEach(key => {
-            const expectedValue = UPDATED_SETTINGS[key];
+        Object.entries(profile.settings).forEach(([key, expectedValue]) => {
             const actualValue = settings[key];
+            // Membership keys are only evaluated for groups in the GROUP MEMBERS inventory or known to be empty
+            if (MEMBERSHIP_POLICY_SCHEMA[key] && actualValue === undefined) return;
+            const mode = getPolicyMode(profile.name, key);
 
-            if (actualValue !== expectedValue) {
+            if (!isSettingCompliant(key, actualValue, expectedValue, mode)) {
+                const waiver = findWaiver(waivers, email, key, actualValue);
+                const target = getRemediationValue(key, actualValue, expectedValue, mode);
                 violations.push({
                     email,
+                    profile: profile.name,
                     key,
+                    severity: getPolicySeverity(profile.name, key),
+                    mode,
                     expected: expectedValue,
                     actual: actualValue ?? 'Not Found',
+                    target,
                     hash: businessHash,
                     lastModified: now,
-                    apply: true // ✅ for checkbox handling
+                    waived: Boolean(waiver),
+                    waiver,
+                    apply: !waiver && Boolean(target) // ✅ for checkbox handling
                 });
             }
         });
     });
 
-    const preview = violations.slice(0, options.limit).map(v => `${v.email} - ${v.key}: ${v.actual} → ${v.expected}`);
+    const preview = violations.slice(0, limit).map(v => `${v.email} [${v.profile}] - ${v.key}: ${v.actual} → ${v.mode} ${v.expected}${v.waived ? ' (waived)' : ''}`);
     return { violations, preview };
 }
 
 /**
  * ✅ Prompt user before executing updateGroupSettings()
+ * With APPROVAL_WORKFLOW.required, only Approved rows on CHANGE REQUESTS whose stored approval
+ * record verifies (see verifyApprovedRequests) are applied (and marked Applied/Failed); otherwise the ticked DETAIL REPORT rows are applied directly.
  */
 function updateGroupSettings() {
-    const violations = getDiscrepancyRowsFromSheet();
+    if (APPROVAL_WORKFLOW.required && APPROVAL_WORKFLOW.approvers.length === 0) {
+        errorLog("❌ APPROVAL_WORKFLOW.required is on but APPROVAL_WORKFLOW.approvers is empty — nothing can be applied until approvers are listed.");
+        return [];
+    }
+
+    const waivers = loadActiveWaivers();
+    const approvedRequests = APPROVAL_WORKFLOW.required
+        ? verifyApprovedRequests(loadChangeRequests([CHANGE_REQUEST_STATUS.APPROVED])).verified
+        : [];
+    const candidates = APPROVAL_WORKFLOW.required ? approvedRequests : getDiscrepancyRowsFromSheet();
+    const violations = candidates
+        .filter(({ email, key, actual }) => !findWaiver(waivers, email, key, actual));
     if (!violations || violations.length === 0) {
-        debugLog("✅ No discrepancies found — nothing to update.");
+        debugLog(APPROVAL_WORKFLOW.required
+            ? "✅ No approved change requests — nothing to update."
+            : "✅ No discrepancies found — nothing to update.");
         return [];
     }
 
     const ui = SpreadsheetApp.getUi();
-    const prompt = `You are about to update ${violations.length} checked setting(s).\n\nAre you sure you want to continue?`;
+    const prompt = `You are about to update ${violations.length} ${APPROVAL_WORKFLOW.required ? 'approved' : 'checked'} setting(s).\n\nAre you sure you want to continue?`;
     const response = ui.alert("⚠️ Confirm Update", prompt, ui.ButtonSet.YES_NO);
     if (response !== ui.Button.YES) {
         debugLog("❌ Update cancelled by user.");
@@ -345,38 +463,76 @@ function updateGroupSettings() {
     }
 
     const updates = {};
-    violations.forEach(({ email, key, expected }) => {
-        if (!email || !key || expected === undefined) return;
+    violations.forEach(({ email, key, actual, target }) => {
+        if (!email || !key || !target) return;
+        if (!isTighteningChange(key, actual, target)) {
+            warnLog(`Skipping ${email} / ${key}: ${actual} → ${target} would not tighten the setting.`);
+            return;
+        }
         if (!updates[email]) updates[email] = {};
-        updates[email][key] = expected;
+        updates[email][key] = target;
     });
 
-    const results = [];
-    debugLog(`📦 Preparing to update ${Object.keys(updates).length} group(s)`);
-    Object.entries(updates).forEach(([email, updatePayload], i) => {
-        try {
-            debugLog(`🚀 [${i + 1}/${Object.keys(updates).length}] Updating ${email}`);
-
-            const response = patchGroupSettings(email, updatePayload);
+    const results = applySettingsUpdates(updates, { source: APPROVAL_WORKFLOW.required ? 'Approved' : 'Manual' });
+    logUpdateResults(results);
+    if (APPROVAL_WORKFLOW.required) {
+        recordAppliedChangeRequests(approvedRequests.filter(r => updates[r.email]?.[r.key] === r.target), results);
+    }
+    return results;
+}
 
-            const status = response.getResponseCode();
-            const content = response.getContentText();
+/**
+ * Time-driven entry point (see installRemediationTrigger) that fixes high-risk drift without a human
+ * ticking boxes. Only AUTO_REMEDIATION.allowedKeys are touched, only tightening changes are made,
+ * groups a human changed within the cooldown window are left alone, and at most
+ * AUTO_REMEDIATION.maxGroupsPerRun groups are patched per run (highest risk first).
+ * Every planned group is logged to SETTINGS UPDATE LOG with source "Scheduled".
+ *
+ * @param {Object} [options] - Execution overrides; `dryRun` logs the plan without patching.
+ * @returns {Array<Object>} Update results, including skipped groups.
+ */
+function runScheduledRemediation(options) {
+    const { dryRun } = resolveExecutionOptions(options);
+    const config = AUTO_REMEDIATION;
+
+    loadPolicySheet();
+    const waivers = loadActiveWaivers();
+    const emails = resolveGroupEmails();
+    const { all } = fetchAllGroupSettings(emails, { bypassHash: true, persistHashes: false });
+    const { violations } = filterGroupSettings(all.filter(r => r.settings), { waivers, includeUnchanged: true });
+
+    const plan = planAutoRemediation(violations, config);
+    if (plan.length === 0) {
+        debugLog("✅ Scheduled remediation: nothing to fix.");
+        return [];
+    }
 
-            if (status >= 200 && status < 300) {
-                debugLog(`✅ [${i + 1}] Updated ${email}: ${Object.keys(updatePayload).join(', ')}`);
-                results.push({ email, status, keys: Object.keys(updatePayload), success: true });
-            } else {
-                errorLog(`❌ [${i + 1}] Failed to update ${email}: ${content}`);
-                results.push({ email, status, keys: Object.keys(updatePayload), success: false, error: content });
-            }
+    const recentlyChanged = findRecentHumanChanges(plan.map(p => p.email), config.humanChangeCooldownHours);
+    if (!recentlyChanged) {
+        // Without the audit log a group an admin just changed would look untouched — fail closed
+        errorLog("❌ Scheduled remediation skipped: audit events could not be read to check the human-change cooldown.");
+        return [];
+    }
+    const batchId = generateBatchId();
+    const skipped = [];
+    const updates = {};
 
-        } catch (err) {
-            errorLog(`❌ [${i + 1}] Exception while updating ${email}`, err.toString());
-            results.push({ email, success: false, error: err.toString() });
+    plan.forEach(({ email, updates: payload }) => {
+        const keys = Object.keys(payload);
+        if (recentlyChanged.has(email.toLowerCase())) {
+            skipped.push({ email, keys, skipped: true, success: false, status: `Changed by a person within ${config.humanChangeCooldownHours}h`, source: 'Scheduled', batchId });
+        } else if (Object.keys(updates).length >= config.maxGroupsPerRun) {
+            skipped.push({ email, keys, skipped: true, success: false, status: `Over run limit (${config.maxGroupsPerRun})`, source: 'Scheduled', batchId });
+        } else {
+            updates[email] = payload;
         }
     });
 
+    skipped.forEach(s => warnLog(`⏭️ Skipping ${s.email}: ${s.status}`));
+
+    const results = applySettingsUpdates(updates, { dryRun, source: 'Scheduled', batchId }).concat(skipped);
     logUpdateResults(results);
+    infoLog(`🤖 Scheduled remediation batch ${batchId}: ${Object.keys(updates).length} group(s) ${dryRun ? 'planned' : 'patched'}, ${skipped.length} skipped`);
     return results;
 }
 
@@ -388,6 +544,156 @@ function onOpen() {
         .createMenu('⚙️ Group Settings Tools')
         .addItem('✅ Check All Updates', 'checkAllUpdates')
         .addItem('❌ Uncheck All Updates', 'uncheckAllUpdates')
-        .addItem('🛠️ Apply Checked Updates', 'updateGroupSettings')
+        .addItem('📝 Request Checked Updates', 'submitChangeRequests')
+        .addItem('👍 Approve Selected Requests', 'approveSelectedRequests')
+        .addItem('👎 Reject Selected Requests', 'rejectSelectedRequests')
+        .addItem(APPROVAL_WORKFLOW.required ? '🛠️ Apply Approved Updates' : '🛠️ Apply Checked Updates', 'updateGroupSettings')
+        .addSeparator()
+        .addItem('🔄 Plan Membership Sync', 'planMembershipSync')
+        .addItem('🚀 Apply Checked Membership Changes', 'syncGroupMembership')
+        .addSeparator()
+        .addItem('➕ Provision Checked Group Requests', 'provisionCheckedGroups')
+        .addSeparator()
+        .addItem('✏️ Show Pending GROUP LIST Edits', 'refreshPendingGroupListEdits')
+        .addItem('📤 Push GROUP LIST Edits', 'pushPendingGroupListEdits')
+        .addSeparator()
+        .addItem('🔍 Look Up User\'s Groups…', 'showUserLookupSidebar')
+        .addSeparator()
+        .addItem('🗂️ Refresh Lifecycle Report', 'buildLifecycleReport')
+        .addItem('⏳ Process Lifecycle Actions', 'processMarkedLifecycleActions')
+        .addItem('🗑️ Confirm Lifecycle Deletions', 'confirmLifecycleDeletions')
+        .addSeparator()
+        .addItem('↩️ Revert Batch…', 'promptRevertBatch')
+        .addItem('↩️ Revert Group…', 'promptRevertGroup')
         .addToUi();
+}
+
+/**
+ * ✅ Prompt user before applying the ticked MEMBERSHIP SYNC PLAN rows
+ */
+function syncGroupMembership() {
+    const pending = readMembershipSyncPlan().filter(a => a.apply && !a.status);
+    if (pending.length === 0) {
+        debugLog("✅ No checked membership changes — nothing to apply.");
+        return [];
+    }
+
+    const removals = pending.filter(a => a.action === 'Remove').length;
+    const ui = SpreadsheetApp.getUi();
+    const prompt = `You are about to apply ${pending.length} membership change(s), including ${removals} removal(s).\n\nAre you sure you want to continue?`;
+    if (ui.alert("⚠️ Confirm Membership Sync", prompt, ui.ButtonSet.YES_NO) !== ui.Button.YES) {
+        debugLog("❌ Membership sync cancelled by user.");
+        return [];
+    }
+
+    return applyMembershipSyncPlan({ dryRun: resolveExecutionOptions().dryRun });
+}
+
+/**
+ * ✅ Prompt user before creating the ticked GROUP REQUESTS groups
+ */
+function provisionCheckedGroups() {
+    loadPolicySheet();
+    const { requests, errors } = loadGroupRequests();
+    if (requests.length === 0) {
+        debugLog(`✅ No valid checked group requests — nothing to provision (${errors.length} invalid).`);
+        return [];
+    }
+
+    const ui = SpreadsheetApp.getUi();
+    const invalid = errors.length > 0 ? `\n\n${errors.length} invalid row(s) will be skipped (see RUNTIME LOG).` : '';
+    const prompt = `You are about to create ${requests.length} group(s):\n\n${requests.map(r => `${r.email} (${r.profile})`).join('\n')}${invalid}\n\nProceed?`;
+    if (ui.alert("⚠️ Confirm Group Provisioning", prompt, ui.ButtonSet.YES_NO) !== ui.Button.YES) {
+        debugLog("❌ Group provisioning cancelled by user.");
+        return [];
+    }
+
+    return provisionGroupRequests({ dryRun: resolveExecutionOptions().dryRun });
+}
+
+/**
+ * ✅ Prompt user before pushing GROUP LIST Name / Description edits to the Directory
+ */
+function pushPendingGroupListEdits() {
+    const edits = refreshPendingGroupListEdits();
+    if (edits.length === 0) {
+        debugLog("✅ No GROUP LIST edits — nothing to push.");
+        return [];
+    }
+
+    const ui = SpreadsheetApp.getUi();
+    const prompt = `You are about to update ${edits.length} group(s):\n\n${edits.map(e => `${e.email} — ${formatGroupListChanges(e.changes)}`).join('\n')}\n\nProceed?`;
+    if (ui.alert("⚠️ Confirm GROUP LIST Push", prompt, ui.ButtonSet.YES_NO) !== ui.Button.YES) {
+        debugLog("❌ GROUP LIST push cancelled by user.");
+        return [];
+    }
+
+    return pushGroupListEdits({ dryRun: resolveExecutionOptions().dryRun });
+}
+
+/**
+ * ✅ Prompt user before scheduling newly marked GROUP LIFECYCLE rows and running the due ones
+ */
+function processMarkedLifecycleActions() {
+    const rows = readLifecycleReport();
+    const now = Date.now();
+    const toSchedule = rows.filter(r => !r.status && LIFECYCLE_ACTIONS.includes(r.action));
+    const due = rows.filter(r => r.status === LIFECYCLE_STATUS.SCHEDULED && LIFECYCLE_ACTIONS.includes(r.action) &&
+        new Date(r.executeAfter).getTime() <= now);
+    if (toSchedule.length === 0 && due.length === 0) {
+        debugLog("✅ No lifecycle actions to schedule or run.");
+        return [];
+    }
+
+    const ui = SpreadsheetApp.getUi();
+    const prompt = `You are about to schedule ${toSchedule.length} group(s) (owners are emailed) and run ${due.length} due action(s):\n\n` +
+        `${due.map(r => `${r.action}: ${r.email}`).join('\n')}\n\nArchives run now; deletes wait for "Confirm Lifecycle Deletions". Proceed?`;
+    if (ui.alert("⚠️ Confirm Lifecycle Actions", prompt, ui.ButtonSet.YES_NO) !== ui.Button.YES) {
+        debugLog("❌ Lifecycle actions cancelled by user.");
+        return [];
+    }
+
+    return processLifecycleActions({ dryRun: resolveExecutionOptions().dryRun });
+}
+
+/**
+ * 🔍 Opens the sidebar that lists a user's groups (see lookupUserGroups)
+ */
+function showUserLookupSidebar() {
+    const html = HtmlService.createHtmlOutputFromFile('user-lookup').setTitle('🔍 User Group Lookup');
+    SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * ↩️ Asks for a Batch ID (see SETTINGS UPDATE LOG) and restores every group in it.
+ */
+function promptRevertBatch() {
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.prompt("↩️ Revert Batch", "Batch ID to revert (from SETTINGS UPDATE LOG):", ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK || !response.getResponseText().trim()) return [];
+
+    const results = revertSettingsBatch(response.getResponseText().trim(), { onConflict: confirmRevertConflict });
+    ui.alert("↩️ Revert Batch", `${results.filter(r => r.success).length} of ${results.length} group(s) restored. See SETTINGS UPDATE LOG.`, ui.ButtonSet.OK);
+    return results;
+}
+
+/**
+ * ↩️ Asks for a group email (and optionally a Batch ID) and restores that group's prior values.
+ */
+function promptRevertGroup() {
+    const ui = SpreadsheetApp.getUi();
+    const response = ui.prompt("↩️ Revert Group", "Group email, optionally followed by a Batch ID (defaults to its latest batch):", ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK || !response.getResponseText().trim()) return [];
+
+    const [address, batchId = null] = response.getResponseText().trim().split(/\s+/);
+    const email = resolveGroupEmail(address);
+    const results = revertGroupSettings(email, batchId, { onConflict: confirmRevertConflict });
+    ui.alert("↩️ Revert Group", results.some(r => r.success) ? `${email} restored.` : `${email} was not restored. See SETTINGS UPDATE LOG.`, ui.ButtonSet.OK);
+    return results;
+}
+
+function confirmRevertConflict(email, conflicts) {
+    const ui = SpreadsheetApp.getUi();
+    const prompt = `${email} has changed since this batch was applied:\n\n${conflicts.join(', ')}\n\nReverting will overwrite the updated keys only. Revert anyway?`;
+    return ui.alert("⚠️ Settings Changed Since Batch", prompt, ui.ButtonSet.YES_NO) === ui.Button.YES;
 }
\ No newline at end of file
@@ -1,22 +1,61 @@
+/**
+ * Fetches one group from the Directory API by primary email or alias.
+ * @returns {{email: string, data: Object}|null} `email` is always the primary address.
+ */
 function fetchSingleGroupData(email) {
-    const url = `${API_URLS.group}${encodeURIComponent(email)}`;
+    const url = `${API_URLS.group}${encodeURIComponent(resolveGroupEmail(email))}`;
     try {
-        const res = UrlFetchApp.fetch(url, {
-            headers: buildAuthHeaders(),
-            muteHttpExceptions: true
-        });
-
-        const status = res.getResponseCode();
-        if (status !== 200) throw new Error(res.getContentText());
-
-        const data = JSON.parse(res.getContentText());
-        return { email, data };
+        const res = fetchWithDefaults(url, { headers: buildAuthHeaders() });
+        return parseGroupDetailResponse(email, res);
     } catch (e) {
         errorLog("❌ Error in fetchSingleGroupData", e.message || e.toString());
         return null;
     }
 }
 
+/**
+ * Batched fetchSingleGroupData: requests go out URL_FETCH_BATCH_SIZE at a time through fetchAllWithDefaults.
+ *
+ * @param {string[]} emails - Group emails or aliases.
+ * @param {number} [batchSize=URL_FETCH_BATCH_SIZE]
+ * @returns {Array<{email: string, data: Object}|null>} One entry per input email, in order.
+ */
+function fetchAllGroupDetails(emails, batchSize = URL_FETCH_BATCH_SIZE) {
+    const results = [];
+    for (let start = 0; start < emails.length; start += batchSize) {
+        const batch = emails.slice(start, start + batchSize);
+        const requests = batch.map(email => ({
+            url: `${API_URLS.group}${encodeURIComponent(resolveGroupEmail(email))}`,
+            headers: buildAuthHeaders()
+        }));
+
+        let responses;
+        try {
+            responses = fetchAllWithDefaults(requests);
+        } catch (err) {
+            warnLog(`⚠️ Batched group fetch failed (${err}) — fetching ${batch.length} group(s) one at a time`);
+            batch.forEach(email => results.push(fetchSingleGroupData(email)));
+            continue;
+        }
+
+        batch.forEach((email, i) => {
+            try {
+                results.push(parseGroupDetailResponse(email, responses[i]));
+            } catch (e) {
+                errorLog("❌ Error in fetchAllGroupDetails", e.message || e.toString());
+                results.push(null);
+            }
+        });
+    }
+    return results;
+}
+
+function parseGroupDetailResponse(email, res) {
+    if (res.getResponseCode() !== 200) throw new Error(res.getContentText());
+    const data = JSON.parse(res.getContentText());
+    return { email: (data.email || email).toLowerCase(), data };
+}
+
 /**
  * Fetches all Google Workspace Directory groups for a given domain and normalizes them into internal structure.
  *
@@ -45,15 +84,18 @@ function fetchSingleGroupData(email) {
  * ## Returns:
  * @returns {{normalizedData: *[], metaData: *[]}} Array of normalized group objects with the following structure:
  * - `email {string}` — Group's email address.
+ * - `domain {string}` — Domain of the group's email address.
  * - `name {string}` — Group's name.
  * - `description {string}` — Group's description.
  * - `directMembersCount {number}` — Number of direct members in the group.
  * - `adminCreated {boolean}` — Whether the group was created by an admin.
+ * - `aliases {string[]}` — Editable alias addresses.
+ * - `nonEditableAliases {string[]}` — Aliases Google maintains (e.g. secondary-domain addresses).
  * - `etag {string}` — The ETag returned from the API or "Not Found" if missing.
  *
  * ## Notes:
  * - If the ETag matches and no changes are detected (HTTP 304), the function returns an empty array `[]`.
- * - If an API error occurs (non-200 response), logs the error and returns an empty array `[]`.
+ * - If an API error occurs (non-200 response), logs the error and returns empty arrays with `error: true`.
  */
 
 function fetchAllGroupData(domain, options = {}) {
@@ -76,7 +118,7 @@ function fetchAllGroupData(domain, options = {}) {
         let url = `${ADMIN_DIRECTORY_API_BASE_URL}?domain=${encodeURIComponent(domain)}`;
         if (pageToken) url += `&pageToken=${pageToken}`;
 
-        const res = UrlFetchApp.fetch(url, { headers, muteHttpExceptions: true });
+        const res = fetchWithDefaults(url, { headers });
         const status = res.getResponseCode();
 
         if (status === 304) {
@@ -86,8 +128,8 @@ function fetchAllGroupData(domain, options = {}) {
         }
 
         if (status !== 200) {
-            errorLog(`❌ Error fetching group list: ${res.getContentText()}`);
-            return { normalizedData: [], metaData: [] };
+            errorLog(`❌ Error fetching group list for ${domain}: ${res.getContentText()}`);
+            return { normalizedData: [], metaData: [], error: true };
         }
 
         const data = JSON.parse(res.getContentText());
@@ -106,8 +148,8 @@ function fetchAllGroupData(domain, options = {}) {
     } while (pageToken);
 
     if (domainEtagMatched && groups.length === 0) {
-        const fallback = getStoredData("GROUP_NORMALIZED_DATA") || [];
-        errorLog(`⚠️ No groups returned due to domain-level ETag match. Using fallback GROUP_NORMALIZED_DATA (${fallback.length} entries).`);
+        const fallback = (getStoredData("GROUP_NORMALIZED_DATA") || []).filter(g => getEmailDomain(g.email) === domain.toLowerCase());
+        errorLog(`⚠️ No groups returned due to domain-level ETag match. Using fallback GROUP_NORMALIZED_DATA for ${domain} (${fallback.length} entries).`);
         return { normalizedData: fallback, metaData: [] };
     }
 
@@ -131,10 +173,13 @@ function fetchAllGroupData(domain, options = {}) {
 
         normalizedData.push({
             email,
+            domain: getEmailDomain(email),
             name: group.name,
             description: group.description,
             directMembersCount: group.directMembersCount || 0,
             adminCreated: group.adminCreated || false,
+            aliases: group.aliases || [],
+            nonEditableAliases: group.nonEditableAliases || [],
             lastModified
         });
 
@@ -153,54 +198,113 @@ function fetchAllGroupData(domain, options = {}) {
     return { normalizedData, metaData };
 }
 /**
- * Compares group settings against UPDATED_SETTINGS and returns discrepancies.
+ * Fetches groups for each domain (see fetchAllGroupData) and merges the results.
+ * Domains whose ETag matched, or whose fetch failed, contribute their previously stored groups.
+ * When at least one domain returned fresh data, metadata for the other domains is rebuilt from the
+ * stored hash map so GROUP METADATA and GROUP_HASH_MAP still cover every group.
  *
- * @param {Array<Object>} groupSettingsData - Array of objects with {email, settings}.
- * @returns {Array<Object>} - Array of discrepancy objects for writing to sheet.
+ * @param {string[]} domains - Output of resolveWorkspaceDomains().
+ * @param {Object} [options] - Execution flags (bypassETag, manual).
+ * @returns {{normalizedData: Object[], metaData: Object[]}}
  */
+function fetchAllDomainGroupData(domains, options = {}) {
+    const normalizedData = [];
+    const metaData = [];
+    const reused = [];
+
+    domains.forEach(domain => {
+        const result = fetchAllGroupData(domain, options);
+        const groups = result.error
+            ? (getStoredData("GROUP_NORMALIZED_DATA") || []).filter(g => getEmailDomain(g.email) === domain)
+            : result.normalizedData;
+
+        normalizedData.push(...groups);
+        if (result.metaData.length > 0) metaData.push(...result.metaData);
+        else reused.push(...groups);
+    });
+
+    if (metaData.length > 0 && reused.length > 0) {
+        const hashMap = loadDirectoryGroupHashMap();
+        reused.forEach(({ email }) => {
+            const { businessHash = '', fullHash = '' } = hashMap[email] || {};
+            const etag = getGroupEtag(email) || '';
+            metaData.push({ email, businessHash, fullHash, oldBusinessHash: '', oldFullHash: '', oldETag: etag, newETag: etag, lastModified: '' });
+        });
+    }
+
+    debugLog(`🌐 Fetched ${normalizedData.length} groups across ${domains.length} domain(s) (${reused.length} reused from storage)`);
+    return { normalizedData, metaData };
+}
+
 /**
- * ✅ Refactored filterGroupSettings — returns violations + preview array
+ * Lists the customer's domains (primary and secondary) with their domain aliases.
+ * @returns {Array<{domainName: string, isPrimary: boolean, aliases: string[]}>|null} null if the request failed.
  */
-function filterGroupSettings(groupSettingsData, options = { limit: 3 }) {
-    const now = new Date().toISOString();
-    const keysToCheck = Object.keys(UPDATED_SETTINGS);
-    const violations = [];
-
-    groupSettingsData.forEach(entry => {
-        const { email, settings = {} } = entry;
-        if (!email || entry.unchanged || entry.error) return;
-
-        const { businessHash } = generateGroupSettingsHashPair(settings);
-
-        keysToCheck.forEach(key => {
-            const expectedValue = UPDATED_SETTINGS[key];
-            const actualValue = settings[key];
-
-            if (actualValue !== expectedValue) {
-                violations.push({
-                    email,
-                    key,
-                    expected: expectedValue,
-                    actual: actualValue ?? 'Not Found',
-                    hash: businessHash,
-                    lastModified: now
-                });
-            }
-        });
-    });
+function fetchCustomerDomains() {
+    const res = fetchWithDefaults(API_URLS.domains, { headers: buildAuthHeaders() });
+    if (res.getResponseCode() === 403) {
+        errorLog("❌ Not allowed to list customer domains — the token lacks admin.directory.domain.readonly. Run resetOAuth and authorize again.", res.getContentText().slice(0, 300));
+        return null;
+    }
+    if (res.getResponseCode() !== 200) {
+        errorLog("❌ Failed to list customer domains", res.getContentText().slice(0, 300));
+        return null;
+    }
+
+    return (JSON.parse(res.getContentText()).domains || [])
+        .filter(d => d.verified !== false)
+        .map(d => ({
+            domainName: d.domainName.toLowerCase(),
+            isPrimary: d.isPrimary === true,
+            aliases: (d.domainAliases || []).map(a => a.domainAliasName.toLowerCase())
+        }));
+}
+
+/**
+ * Returns the domains whose groups are inventoried: GOOGLE_WORKSPACE_DOMAINS when set (limited to
+ * domains the customer actually has), otherwise every customer domain. When the domains API is
+ * unavailable the last stored domain list is used and the failure is recorded in GroupListLog; with
+ * no stored list this throws rather than guess, since secondary domains would be silently left out.
+ *
+ * @returns {string[]}
+ * @throws {Error} If the domains could not be listed and were never stored.
+ */
+function resolveWorkspaceDomains() {
+    let domains = fetchCustomerDomains();
+    if (domains) {
+        storeCustomerDomains(domains);
+        internalDomains = null;
+    } else {
+        domains = loadCustomerDomains();
+        if (domains.length === 0) {
+            const message = "Could not list customer domains and none are stored — grant admin.directory.domain.readonly (resetOAuth, then authorize again).";
+            logEventToSheet("GroupListLog", "domains", "Domain List Unavailable", '', message);
+            throw new Error(message);
+        }
+        const message = `Domains API unavailable — using stored domain list: ${domains.map(d => d.domainName).join(', ')}`;
+        warnLog(`⚠️ ${message}`);
+        logEventToSheet("GroupListLog", "domains", "Domain List Unavailable", '', message);
+    }
+
+    return selectWorkspaceDomains(domains.map(d => d.domainName), getConfiguredDomains());
+}
 
-    const preview = violations.slice(0, options.limit).map(v =>
-        `${v.email} - ${v.key}: ${v.actual} → ${v.expected}`
-    );
+/**
+ * Narrows the customer's domains to the configured subset (all of them when none is configured).
+ * Configured domains the customer does not have are reported and ignored.
+ */
+function selectWorkspaceDomains(available, configured) {
+    if (configured.length === 0) return available;
 
-    return { violations, preview };
+    const unknown = configured.filter(d => !available.includes(d));
+    if (unknown.length > 0) {
+        errorLog(`❌ GOOGLE_WORKSPACE_DOMAINS lists domains this customer does not have: ${unknown.join(', ')} — ignored.`);
+    }
+    return configured.filter(d => available.includes(d));
 }
+
 function fetchGroupSettings(email, options = {}) {
-    const {
-        manual = false,
-        bypassHash = false,
-        hashMap
-    } = options;
+    const { manual = false, hashMap } = options;
 
     if (manual) {
         debugLog(`⚙️ Manual mode enabled — skipping fetch for ${email}`);
@@ -211,67 +315,100 @@ function fetchGroupSettings(email, options = {}) {
         throw new Error("❌ Missing hashMap in fetchGroupSettings.");
     }
 
-    const encodedEmail = encodeURIComponent(email);
-    const url = `${GROUPS_SETTINGS_API_BASE_URL}/${encodedEmail}?alt=json`;
-    const headers = buildAuthHeaders();
-    const now = new Date().toISOString();
-
     try {
-        const res = UrlFetchApp.fetch(url, {
-            method: 'GET',
-            headers,
-            muteHttpExceptions: true
-        });
-
-        const status = res.getResponseCode();
-        const contentText = res.getContentText();
-
-        if (status === 304) {
-            debugLog(`🔁 API-level 304 Not Modified for ${email}`);
-            return { email, unchanged: true };
-        }
+        const { url, ...params } = buildGroupSettingsRequest(email);
+        return classifyGroupSettingsResponse(email, fetchWithDefaults(url, params), options);
+    } catch (err) {
+        errorLog(`❌ Exception in fetchGroupSettings for ${email}`, err.toString());
+        return { email, error: true };
+    }
+}
 
-        if (status !== 200 || !contentText || contentText.trim().startsWith('<')) {
-            errorLog(`❌ Unexpected response for ${email}`, contentText.slice(0, 300));
-            return { email, error: true };
-        }
+function buildGroupSettingsRequest(email) {
+    return {
+        url: `${GROUPS_SETTINGS_API_BASE_URL}/${encodeURIComponent(email)}?alt=json`,
+        method: 'GET',
+        headers: buildAuthHeaders()
+    };
+}
 
-        const data = JSON.parse(contentText);
-        const { businessHash, fullHash } = generateGroupSettingsHashPair(data);
-        const old = hashMap[email] || {};
+/**
+ * Turns one Groups Settings response into a fetchGroupSettings result, updating `options.hashMap`
+ * for groups whose settings hash changed.
+ */
+function classifyGroupSettingsResponse(email, res, options) {
+    const { bypassHash = false, hashMap, membershipSettings = {} } = options;
+    const status = res.getResponseCode();
+    const contentText = res.getContentText();
+
+    if (status === 304) {
+        debugLog(`🔁 API-level 304 Not Modified for ${email}`);
+        return { email, unchanged: true };
+    }
 
-        const businessUnchanged = CHECK_BUSINESS_HASH ? businessHash === old.businessHash : true;
-        const fullUnchanged = CHECK_FULL_HASH ? fullHash === old.fullHash : true;
+    if (status !== 200 || !contentText || contentText.trim().startsWith('<')) {
+        errorLog(`❌ Unexpected response for ${email}`, contentText.slice(0, 300));
+        return { email, error: true };
+    }
 
-        const skip = !bypassHash && businessUnchanged && fullUnchanged;
+    // Membership-derived policy values are hashed with the settings so membership changes re-trigger evaluation
+    const data = { ...JSON.parse(contentText), ...(membershipSettings[email] || {}) };
+    const { businessHash, fullHash } = generateGroupSettingsHashPair(data);
+    const old = hashMap[email] || {};
 
-        if (skip) {
-            return {
-                email,
-                settings: data,
-                unchanged: true
-            };
-        }
+    const businessUnchanged = CHECK_BUSINESS_HASH ? businessHash === old.businessHash : true;
+    const fullUnchanged = CHECK_FULL_HASH ? fullHash === old.fullHash : true;
 
-        hashMap[email] = { businessHash, fullHash };
+    const skip = !bypassHash && businessUnchanged && fullUnchanged;
 
+    if (skip) {
         return {
             email,
             settings: data,
-            hashes: { businessHash, fullHash }
+            unchanged: true
         };
+    }
+
+    hashMap[email] = { businessHash, fullHash };
+
+    return {
+        email,
+        settings: data,
+        hashes: { businessHash, fullHash }
+    };
+}
 
+/**
+ * Fetches settings for one batch of groups in parallel through fetchAllWithDefaults.
+ * If UrlFetchApp.fetchAll itself throws (it does when any request fails outright), the batch is retried one group at a time.
+ */
+function fetchGroupSettingsBatch(emails, options) {
+    let responses;
+    try {
+        responses = fetchAllWithDefaults(emails.map(buildGroupSettingsRequest));
     } catch (err) {
-        errorLog(`❌ Exception in fetchGroupSettings for ${email}`, err.toString());
-        return { email, error: true };
+        warnLog(`⚠️ Batched settings fetch failed (${err}) — fetching ${emails.length} group(s) one at a time`);
+        return emails.map(email => fetchGroupSettings(email, options));
     }
+
+    return emails.map((email, i) => {
+        try {
+            return classifyGroupSettingsResponse(email, responses[i], options);
+        } catch (err) {
+            errorLog(`❌ Exception in fetchGroupSettings for ${email}`, err.toString());
+            return { email, error: true };
+        }
+    });
 }
 
     /**
      * Fetches group settings for multiple groups and returns categorized results.
+     * Requests go out in batches of URL_FETCH_BATCH_SIZE (or `options.batchSize`) through fetchAllWithDefaults.
      *
      * @param {string[]} emails - Array of group email addresses.
      * @param {Object} options - Execution flags (manual, dryRun, bypassHash, etc.)
+     *   plus `persistHashes` (default true) — set false for read-only callers such as scheduled remediation —
+     *   `membershipSettings` (email → derived values, see deriveMembershipSettings) and `batchSize`.
      * @returns {{
      *   all: Object[],
      *   changed: Object[],
@@ -281,7 +418,8 @@ function fetchGroupSettings(email, options = {}) {
      */
     function fetchAllGroupSettings(emails, options = {}) {
         const executionOptions = resolveExecutionOptions(options);
-        const { bypassETag, bypassHash, manual, dryRun } = executionOptions;
+        const { manual } = executionOptions;
+        const batchSize = options.batchSize || URL_FETCH_BATCH_SIZE;
 
         if (!Array.isArray(emails) || emails.length === 0) {
             errorLog("❌ No group emails provided to fetchAllGroupSettings.");
@@ -294,40 +432,36 @@ function fetchGroupSettings(email, options = {}) {
         const errored = [];
 
         const hashMap = loadGroupSettingsHashMap();
+        const fetchOptions = { ...executionOptions, hashMap, membershipSettings: options.membershipSettings };
 
-        debugLog(`📡 Fetching settings for ${emails.length} groups...`);
+        const record = result => {
+            all.push(result);
 
-        emails.forEach((email, i) => {
-            try {
-                const result = fetchGroupSettings(email, {
-                    ...executionOptions,
-                    hashMap
-                });
-
-                all.push(result);
-
-                if (result.error) {
-                    errored.push(result);
-                } else if (result.unchanged || result.manual) {
-                    unchanged.push(result);
-                } else {
-                    changed.push(result);
-                }
-
-                if ((i + 1) % 50 === 0) {
-                    debugLog(`⏳ Processed ${i + 1}/${emails.length} emails...`);
-                }
-
-            } catch (err) {
-                const fallback = { email, error: true };
-                all.push(fallback);
-                errored.push(fallback);
-                errorLog(`❌ Error fetching settings for ${email}`, err.toString());
+            if (result.error) {
+                errored.push(result);
+            } else if (result.unchanged || result.manual) {
+                unchanged.push(result);
+            } else {
+                changed.push(result);
             }
-        });
+        };
+
+        if (manual) {
+            debugLog(`⚙️ Manual mode enabled — skipping settings fetch for ${emails.length} groups`);
+            emails.forEach(email => record({ email, manual: true }));
+        } else {
+            debugLog(`📡 Fetching settings for ${emails.length} groups in batches of ${batchSize}...`);
+
+            for (let start = 0; start < emails.length; start += batchSize) {
+                fetchGroupSettingsBatch(emails.slice(start, start + batchSize), fetchOptions).forEach(record);
+                debugLog(`⏳ Processed ${Math.min(start + batchSize, emails.length)}/${emails.length} emails...`);
+            }
+        }
 
-        debugLog(`📦 Saving GROUP_SETTINGS_HASH_MAP with ${Object.keys(hashMap).length} entries`);
-        storeGroupSettingsHashMap(hashMap);
+        if (options.persistHashes !== false) {
+            debugLog(`📦 Saving GROUP_SETTINGS_HASH_MAP with ${Object.keys(hashMap).length} entries`);
+            storeGroupSettingsHashMap(hashMap);
+        }
 
         debugLog(`✅ Completed group settings fetch:
   - Total: ${all.length}
@@ -338,13 +472,244 @@ function fetchGroupSettings(email, options = {}) {
         return { all, changed, unchanged, errored };
     }
 
+/**
+ * Fetches a group's current settings without touching the hash map.
+ * @returns {Object|null} Settings object, or null if the request failed.
+ */
+function fetchCurrentGroupSettings(email) {
+    const url = `${GROUPS_SETTINGS_API_BASE_URL}/${encodeURIComponent(email)}?alt=json`;
+    const res = fetchWithDefaults(url, { method: 'GET', headers: buildAuthHeaders() });
+
+    if (res.getResponseCode() !== 200) {
+        errorLog(`❌ Failed to fetch current settings for ${email}`, res.getContentText().slice(0, 300));
+        return null;
+    }
+    return JSON.parse(res.getContentText());
+}
+
 function patchGroupSettings(email, updatePayload) {
     const url = `${GROUPS_SETTINGS_API_BASE_URL}/${encodeURIComponent(email)}`;
-    return UrlFetchApp.fetch(url, {
+    return fetchWithDefaults(url, {
         method: 'PATCH',
         contentType: 'application/json',
         payload: JSON.stringify(updatePayload),
-        headers: buildAuthHeaders({ json: true }),
-        muteHttpExceptions: true
+        headers: buildAuthHeaders({ json: true })
+    });
+}
+
+/**
+ * Lists every member of one group (all pages) from the Directory API.
+ * The stored ETag is sent on the first page; a 304 means membership is unchanged.
+ *
+ * @param {string} email - Group email.
+ * @param {{etag?: string}} [options]
+ * @returns {{email: string, members?: Object[], etag?: string, unchanged?: boolean, error?: boolean}}
+ */
+function fetchGroupMembers(email, options = {}) {
+    const members = [];
+    let pageToken = null;
+    let etag = null;
+
+    do {
+        let url = `${API_URLS.group}${encodeURIComponent(email)}/members?maxResults=200`;
+        if (pageToken) url += `&pageToken=${pageToken}`;
+
+        const headers = buildAuthHeaders({ etag: pageToken ? null : options.etag });
+        const res = fetchWithDefaults(url, { headers });
+        const status = res.getResponseCode();
+
+        if (status === 304) {
+            return { email, unchanged: true, etag: options.etag };
+        }
+
+        if (status !== 200) {
+            errorLog(`❌ Error fetching members for ${email}`, res.getContentText().slice(0, 300));
+            return { email, error: true };
+        }
+
+        const data = JSON.parse(res.getContentText());
+        if (!pageToken) etag = data.etag || null;
+        (data.members || []).forEach(m => members.push(normalizeGroupMember(email, m)));
+        pageToken = data.nextPageToken;
+    } while (pageToken);
+
+    return { email, members, etag };
+}
+
+/**
+ * Fetches membership for many groups using per-group ETags and member-list hashes,
+ * mirroring fetchAllGroupSettings. Groups whose ETag matched or whose hash is unchanged
+ * land in `unchanged` without members.
+ *
+ * @param {string[]} emails - Group email addresses.
+ * @param {Object} [options] - Execution flags (bypassETag, bypassHash, manual).
+ * @returns {{all: Object[], changed: Object[], unchanged: Object[], errored: Object[]}}
+ */
+function fetchAllGroupMembers(emails, options = {}) {
+    const { bypassETag, bypassHash, manual } = resolveExecutionOptions(options);
+
+    if (manual) {
+        debugLog("⚙️ Manual mode enabled — skipping membership fetch");
+        return { all: [], changed: [], unchanged: [], errored: [] };
+    }
+
+    const etags = loadGroupMemberETags();
+    const hashMap = loadGroupMembersHashMap();
+    const all = [];
+    const changed = [];
+    const unchanged = [];
+    const errored = [];
+
+    debugLog(`📡 Fetching members for ${emails.length} groups...`);
+
+    emails.forEach((email, i) => {
+        let result;
+        try {
+            result = fetchGroupMembers(email, { etag: bypassETag ? null : etags[email] });
+        } catch (err) {
+            errorLog(`❌ Error fetching members for ${email}`, err.toString());
+            result = { email, error: true };
+        }
+
+        all.push(result);
+
+        if (result.error) {
+            errored.push(result);
+        } else if (result.unchanged) {
+            unchanged.push(result);
+        } else {
+            if (result.etag) etags[email] = result.etag;
+            const hash = hashGroupMembers(result.members);
+            if (!bypassHash && hashMap[email] === hash) {
+                result.unchanged = true;
+                unchanged.push(result);
+            } else {
+                hashMap[email] = hash;
+                changed.push(result);
+            }
+        }
+
+        if ((i + 1) % 50 === 0) {
+            debugLog(`⏳ Processed ${i + 1}/${emails.length} groups...`);
+        }
+    });
+
+    storeGroupMemberETags(etags);
+    storeGroupMembersHashMap(hashMap);
+
+    debugLog(`✅ Completed membership fetch:
+  - Total: ${all.length}
+  - Changed: ${changed.length}
+  - Unchanged: ${unchanged.length}
+  - Errored: ${errored.length}`);
+
+    return { all, changed, unchanged, errored };
+}
+
+/**
+ * Lists the groups `memberKey` (a user or a group email) is a direct member of, all pages.
+ * @returns {Array<{email: string, name: string}>|null} null if the request failed.
+ */
+function fetchMemberGroups(memberKey) {
+    const groups = [];
+    let pageToken = null;
+
+    do {
+        let url = `${API_URLS.groupQuery}?userKey=${encodeURIComponent(memberKey)}&maxResults=200`;
+        if (pageToken) url += `&pageToken=${pageToken}`;
+
+        const res = fetchWithDefaults(url, { headers: buildAuthHeaders() });
+        if (res.getResponseCode() !== 200) {
+            errorLog(`❌ Error listing groups of ${memberKey}`, res.getContentText().slice(0, 300));
+            return null;
+        }
+
+        const data = JSON.parse(res.getContentText());
+        (data.groups || []).forEach(g => groups.push({ email: g.email.toLowerCase(), name: g.name || '' }));
+        pageToken = data.nextPageToken;
+    } while (pageToken);
+
+    return groups;
+}
+
+/**
+ * Fetches one membership record (role, type, status) of `memberKey` in a group.
+ * @returns {Object|null} null if not a direct member or the request failed.
+ */
+function fetchGroupMember(groupEmail, memberKey) {
+    const url = `${API_URLS.group}${encodeURIComponent(groupEmail)}/members/${encodeURIComponent(memberKey)}`;
+    const res = fetchWithDefaults(url, { headers: buildAuthHeaders() });
+    if (res.getResponseCode() !== 200) return null;
+    return normalizeGroupMember(groupEmail, JSON.parse(res.getContentText()));
+}
+
+/**
+ * Fetches a Workspace user by primary email or alias.
+ * @returns {{email: string, name: string, suspended: boolean}|null} null if there is no such user.
+ */
+function fetchUser(email) {
+    const url = `${API_URLS.user}${encodeURIComponent(email)}?fields=primaryEmail,name/fullName,suspended`;
+    const res = fetchWithDefaults(url, { headers: buildAuthHeaders() });
+    if (res.getResponseCode() !== 200) {
+        errorLog(`❌ User ${email} not found`, res.getContentText().slice(0, 300));
+        return null;
+    }
+
+    const data = JSON.parse(res.getContentText());
+    return { email: data.primaryEmail.toLowerCase(), name: data.name?.fullName || '', suspended: data.suspended === true };
+}
+
+function insertGroupMember(groupEmail, memberEmail, role) {
+    const url = `${API_URLS.group}${encodeURIComponent(groupEmail)}/members`;
+    return fetchWithDefaults(url, {
+        method: 'POST',
+        contentType: 'application/json',
+        payload: JSON.stringify({ email: memberEmail, role }),
+        headers: buildAuthHeaders({ json: true })
+    });
+}
+
+function updateGroupMemberRole(groupEmail, memberEmail, role) {
+    const url = `${API_URLS.group}${encodeURIComponent(groupEmail)}/members/${encodeURIComponent(memberEmail)}`;
+    return fetchWithDefaults(url, {
+        method: 'PATCH',
+        contentType: 'application/json',
+        payload: JSON.stringify({ role }),
+        headers: buildAuthHeaders({ json: true })
+    });
+}
+
+function removeGroupMember(groupEmail, memberEmail) {
+    const url = `${API_URLS.group}${encodeURIComponent(groupEmail)}/members/${encodeURIComponent(memberEmail)}`;
+    return fetchWithDefaults(url, {
+        method: 'DELETE',
+        headers: buildAuthHeaders()
+    });
+}
+
+function createGroup(email, name, description) {
+    return fetchWithDefaults(API_URLS.groupQuery, {
+        method: 'POST',
+        contentType: 'application/json',
+        payload: JSON.stringify({ email, name, description }),
+        headers: buildAuthHeaders({ json: true })
+    });
+}
+
+function updateGroupDetails(email, payload) {
+    const url = `${API_URLS.group}${encodeURIComponent(email)}`;
+    return fetchWithDefaults(url, {
+        method: 'PATCH',
+        contentType: 'application/json',
+        payload: JSON.stringify(payload),
+        headers: buildAuthHeaders({ json: true })
+    });
+}
+
+function deleteGroup(email) {
+    const url = `${API_URLS.group}${encodeURIComponent(email)}`;
+    return fetchWithDefaults(url, {
+        method: 'DELETE',
+        headers: buildAuthHeaders()
     });
 }
@@ -0,0 +1,175 @@
+// ===========================
+// ✏️ GROUP LIST SYNC MODULE — Pushing Name & Description Edits to the Directory
+// ===========================
+
+/**
+ * Reads the editable GROUP LIST cells keyed by lowercased email.
+ * @returns {Object<string, {row: number, name: string, description: string}>}
+ */
+function readGroupListCells() {
+    const headers = HEADERS[SHEET_NAMES.GROUP_LIST];
+    const sheet = getOrCreateSheet(SHEET_NAMES.GROUP_LIST, headers);
+    if (sheet.getLastRow() <= 1) return {};
+
+    const col = name => headers.indexOf(name);
+    const cells = {};
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues().forEach((row, i) => {
+        const email = String(row[col('Email')]).trim().toLowerCase();
+        if (!email) return;
+        cells[email] = { row: i + 2, name: String(row[col('Name')]), description: String(row[col('Description')]) };
+    });
+    return cells;
+}
+
+/**
+ * Finds Name / Description cells that differ from what was last fetched from the Directory.
+ *
+ * @param {Object<string, Object>} cells - Output of readGroupListCells().
+ * @param {Object[]} stored - GROUP_NORMALIZED_DATA.
+ * @returns {Array<{email: string, row: number, changes: Object<string, {from: string, to: string}>}>}
+ */
+function detectGroupListEdits(cells, stored) {
+    const edits = [];
+    stored.forEach(group => {
+        const cell = cells[String(group.email).toLowerCase()];
+        if (!cell) return;
+
+        const changes = {};
+        GROUP_LIST_EDITABLE_FIELDS.forEach(field => {
+            const from = groupListCellValue(group[field]);
+            if (cell[field] !== from) changes[field] = { from, to: cell[field] };
+        });
+        if (Object.keys(changes).length > 0) edits.push({ email: group.email, row: cell.row, changes });
+    });
+    return edits;
+}
+
+/**
+ * Carries sheet edits over a GROUP LIST refresh so writeGroupListToSheet does not overwrite them.
+ * An edit is kept (and described in `pendingChanges`) only while the Directory value is the one the
+ * edit was made against; if the field also changed in the Admin console, the Directory value wins
+ * and the discarded edit is noted instead.
+ *
+ * @param {Object[]} fresh - Newly fetched normalized groups.
+ * @param {Object[]} previous - GROUP_NORMALIZED_DATA before this refresh.
+ * @param {Object<string, Object>} cells - Output of readGroupListCells().
+ * @returns {Object[]} Copies of `fresh` to write to the sheet.
+ */
+function mergePendingGroupListEdits(fresh, previous, cells) {
+    const edits = {};
+    detectGroupListEdits(cells, previous).forEach(e => edits[String(e.email).toLowerCase()] = e.changes);
+
+    return fresh.map(group => {
+        const changes = edits[String(group.email).toLowerCase()];
+        if (!changes) return group;
+
+        const merged = { ...group };
+        const notes = [];
+        Object.entries(changes).forEach(([field, { from, to }]) => {
+            if (groupListCellValue(group[field]) !== from) {
+                notes.push(`⚠️ ${field} edit "${to}" discarded — changed in Admin console`);
+                return;
+            }
+            merged[field] = to;
+            notes.push(`${field}: "${from}" → "${to}"`);
+        });
+        merged.pendingChanges = notes.join('; ');
+        return merged;
+    });
+}
+
+/**
+ * Fills the Pending Changes column for every GROUP LIST row edited since the last refresh.
+ * @returns {Object[]} The pending edits.
+ */
+function refreshPendingGroupListEdits() {
+    const headers = HEADERS[SHEET_NAMES.GROUP_LIST];
+    const sheet = getOrCreateSheet(SHEET_NAMES.GROUP_LIST, headers);
+    const cells = readGroupListCells();
+    const edits = detectGroupListEdits(cells, getStoredData("GROUP_NORMALIZED_DATA") || []);
+    const pending = {};
+    edits.forEach(e => pending[e.row] = formatGroupListChanges(e.changes));
+
+    const colIndex = headers.indexOf('Pending Changes') + 1;
+    Object.values(cells).forEach(({ row }) => sheet.getRange(row, colIndex).setValue(pending[row] || ''));
+
+    debugLog(`✏️ ${edits.length} GROUP LIST row(s) with pending edits`);
+    return edits;
+}
+
+/**
+ * PATCHes pending Name / Description edits to the Directory API. Each group is re-read first and
+ * skipped if its ETag no longer matches the one last fetched by listGroups (someone changed it in
+ * the Admin console since); refresh GROUP LIST and re-apply the edit in that case.
+ *
+ * @param {{dryRun?: boolean}} [options]
+ * @returns {Array<{email: string, success: boolean, status: string, changes: Object}>}
+ */
+function pushGroupListEdits(options = {}) {
+    const { dryRun = false } = options;
+    const stored = getStoredData("GROUP_NORMALIZED_DATA") || [];
+    const edits = detectGroupListEdits(readGroupListCells(), stored);
+    const currentGroups = dryRun ? [] : fetchAllGroupDetails(edits.map(e => e.email));
+    const results = [];
+
+    edits.forEach(({ email, row, changes }, i) => {
+        const payload = {};
+        Object.entries(changes).forEach(([field, { to }]) => payload[field] = to);
+
+        if (dryRun) {
+            results.push({ email, row, changes, success: true, status: 'DRY RUN' });
+            return;
+        }
+
+        const current = currentGroups[i];
+        const knownETag = getGroupEtag(email);
+        if (!current) {
+            results.push({ email, row, changes, success: false, status: 'Could not read current group' });
+            return;
+        }
+        if (!knownETag || current.data.etag !== knownETag) {
+            warnLog(`⚠️ ${email} changed since GROUP LIST was refreshed — edit not pushed.`);
+            results.push({ email, row, changes, success: false, status: '⚠️ Changed in Admin console — refresh GROUP LIST' });
+            return;
+        }
+
+        const response = updateGroupDetails(email, payload);
+        const status = response.getResponseCode();
+        if (status !== 200) {
+            errorLog(`❌ Failed to update ${email}`, response.getContentText().slice(0, 300));
+            results.push({ email, row, changes, success: false, status: `❌ ${status}` });
+            return;
+        }
+
+        const updated = JSON.parse(response.getContentText());
+        if (updated.etag) setGroupETag(email, updated.etag);
+        const entry = stored.find(g => g.email === email);
+        Object.assign(entry, payload);
+        results.push({ email, row, changes, success: true, status: '✅ Pushed' });
+    });
+
+    if (!dryRun && results.some(r => r.success)) {
+        storeDataAndHash("GROUP_NORMALIZED_DATA", stored);
+    }
+    if (!dryRun) markGroupListPushResults(results);
+    // A dry run sends nothing, so it must not leave "Pushed" entries in the audit log
+    results.forEach(r => logEventToSheet("GroupListSyncLog", r.email, dryRun ? 'DRY RUN' : (r.success ? 'Pushed' : 'Not Pushed'), '', `${formatGroupListChanges(r.changes)} — ${r.status}`));
+    infoLog(`✏️ Pushed ${results.filter(r => r.success).length} of ${edits.length} GROUP LIST edit(s)${dryRun ? ' (dry run)' : ''}`);
+    return results;
+}
+
+function markGroupListPushResults(results) {
+    const headers = HEADERS[SHEET_NAMES.GROUP_LIST];
+    const sheet = getOrCreateSheet(SHEET_NAMES.GROUP_LIST, headers);
+    const colIndex = headers.indexOf('Pending Changes') + 1;
+    results.forEach(r => sheet.getRange(r.row, colIndex).setValue(r.success ? '' : `${formatGroupListChanges(r.changes)} — ${r.status}`));
+}
+
+function formatGroupListChanges(changes) {
+    return Object.entries(changes).map(([field, { from, to }]) => `${field}: "${from}" → "${to}"`).join('; ');
+}
+
+// Matches how groupToListRow writes a missing value
+function groupListCellValue(value) {
+    return value === undefined || value === null ? 'Not Found' : String(value);
+}
@@ -0,0 +1,171 @@
+// ===========================
+// 📡 HTTP MODULE — Shared Request Layer with Retry & Backoff
+// ===========================
+
+// Per-execution counters; benchmark() reports the share of each operation.
+let httpStats = { requests: 0, retries: 0, throttled: 0, serverErrors: 0, tokenRefreshes: 0, gaveUp: 0 };
+
+/**
+ * UrlFetchApp.fetch with muteHttpExceptions on, plus:
+ * - 429 / 5xx responses (HTTP_RETRY.retryStatuses) retried with exponential backoff and jitter,
+ *   waiting out Retry-After when Google sends one;
+ * - one retry with a refreshed OAuth token on 401.
+ * The last response is returned whatever its status, so callers keep their own error handling.
+ *
+ * @param {string} url
+ * @param {Object} [options] - UrlFetchApp params.
+ * @returns {GoogleAppsScript.URL_Fetch.HTTPResponse}
+ */
+function fetchWithDefaults(url, options = {}) {
+    let params = { muteHttpExceptions: true, ...options };
+    let refreshed = false;
+
+    for (let attempt = 0; ; attempt++) {
+        httpStats.requests++;
+        const res = UrlFetchApp.fetch(url, params);
+        const status = res.getResponseCode();
+
+        if (status === 401 && !refreshed && hasBearerToken(params)) {
+            refreshed = true;
+            const fresh = withFreshAccessToken(params);
+            if (!fresh) return res;
+            params = fresh;
+            continue;
+        }
+
+        const delay = getRetryDelay(params.method, res, attempt);
+        if (delay === null) return res;
+
+        debugLog(`🔁 ${status} from ${url.split('?')[0]} — retry ${attempt + 1}/${HTTP_RETRY.maxRetries} in ${delay}ms`);
+        Utilities.sleep(delay);
+    }
+}
+
+/**
+ * UrlFetchApp.fetchAll with the same retry rules as fetchWithDefaults. After each round the
+ * requests that need another try are re-sent together, after the longest delay among them.
+ *
+ * @param {Object[]} requests - UrlFetchApp request objects (with `url`).
+ * @returns {GoogleAppsScript.URL_Fetch.HTTPResponse[]} One response per request, in order.
+ */
+function fetchAllWithDefaults(requests) {
+    let pending = requests.map((request, index) => ({ index, params: { muteHttpExceptions: true, ...request }, refreshed: false }));
+    const responses = new Array(requests.length);
+
+    for (let attempt = 0; pending.length > 0; attempt++) {
+        httpStats.requests += pending.length;
+        const results = UrlFetchApp.fetchAll(pending.map(p => p.params));
+        const retry = [];
+        let wait = 0;
+        let freshParams;
+
+        pending.forEach((p, i) => {
+            const res = results[i];
+            responses[p.index] = res;
+
+            if (res.getResponseCode() === 401 && !p.refreshed && hasBearerToken(p.params)) {
+                // One token refresh serves every request of the round
+                if (freshParams === undefined) freshParams = withFreshAccessToken(p.params);
+                if (!freshParams) return;
+                const headers = { ...p.params.headers, Authorization: freshParams.headers.Authorization };
+                retry.push({ ...p, params: { ...p.params, headers }, refreshed: true });
+                return;
+            }
+
+            const delay = getRetryDelay(p.params.method, res, attempt);
+            if (delay === null) return;
+            wait = Math.max(wait, delay);
+            retry.push(p);
+        });
+
+        if (retry.length > 0 && wait > 0) {
+            debugLog(`🔁 Retrying ${retry.length} of ${pending.length} batched request(s) in ${wait}ms`);
+            Utilities.sleep(wait);
+        }
+        pending = retry;
+    }
+
+    return responses;
+}
+
+/**
+ * Decides whether a response is retried and after how long, updating httpStats.
+ * POSTs are only retried on 429 — a 5xx may come after the resource was created.
+ *
+ * @returns {number|null} Delay in ms, or null to return the response as is.
+ */
+function getRetryDelay(method, res, attempt) {
+    const status = res.getResponseCode();
+    if (!HTTP_RETRY.retryStatuses.includes(status)) return null;
+    if (status !== 429 && String(method || 'GET').toUpperCase() === 'POST') return null;
+
+    if (status === 429) httpStats.throttled++;
+    else httpStats.serverErrors++;
+
+    const retryAfter = parseRetryAfter(res);
+    if (attempt >= HTTP_RETRY.maxRetries || retryAfter > HTTP_RETRY.maxDelayMs) {
+        httpStats.gaveUp++;
+        warnLog(`⚠️ Giving up after ${attempt + 1} attempt(s): HTTP ${status}${retryAfter > HTTP_RETRY.maxDelayMs ? ` (Retry-After ${retryAfter}ms)` : ''}`);
+        return null;
+    }
+
+    httpStats.retries++;
+    const backoff = Math.min(HTTP_RETRY.maxDelayMs, HTTP_RETRY.baseDelayMs * Math.pow(2, attempt));
+    const jittered = Math.round(backoff / 2 + Math.random() * backoff / 2);
+    return retryAfter !== null ? Math.max(retryAfter, jittered) : jittered;
+}
+
+/**
+ * Reads Retry-After (seconds or an HTTP date) in ms.
+ * @returns {number|null}
+ */
+function parseRetryAfter(res) {
+    const headers = res.getHeaders() || {};
+    const key = Object.keys(headers).find(k => k.toLowerCase() === 'retry-after');
+    if (!key) return null;
+
+    const value = String(headers[key]).trim();
+    const ms = /^\d+$/.test(value) ? Number(value) * 1000 : new Date(value).getTime() - Date.now();
+    return isNaN(ms) ? null : Math.max(0, ms);
+}
+
+function hasBearerToken(params) {
+    return String(params.headers?.Authorization || '').startsWith('Bearer ');
+}
+
+/**
+ * @returns {Object|null} `params` with a refreshed Bearer token, or null if the refresh failed.
+ */
+function withFreshAccessToken(params) {
+    httpStats.tokenRefreshes++;
+    warnLog("⚠️ 401 Unauthorized — refreshing the OAuth token and retrying once");
+    try {
+        return { ...params, headers: { ...params.headers, Authorization: `Bearer ${refreshAccessToken()}` } };
+    } catch (err) {
+        errorLog("❌ OAuth token refresh failed", err.toString());
+        return null;
+    }
+}
+
+// ===========================
+// 📊 Request Statistics
+// ===========================
+
+function getHttpStats() {
+    return { ...httpStats };
+}
+
+/**
+ * Logs the requests made since `before` (a getHttpStats() snapshot); retries and give-ups are logged as warnings.
+ */
+function logHttpStats(label, before) {
+    const diff = {};
+    Object.keys(httpStats).forEach(key => diff[key] = httpStats[key] - (before[key] || 0));
+    if (diff.requests === 0) return diff;
+
+    const message = `📡 ${label}: ${diff.requests} request(s), ${diff.retries} retr${diff.retries === 1 ? 'y' : 'ies'} ` +
+        `(${diff.throttled} throttled, ${diff.serverErrors} server error(s)), ${diff.tokenRefreshes} token refresh(es), ${diff.gaveUp} gave up`;
+    if (diff.retries > 0 || diff.gaveUp > 0 || diff.tokenRefreshes > 0) warnLog(message);
+    else debugLog(message);
+    return diff;
+}
@@ -0,0 +1,398 @@
+// ===========================
+// 🗂️ LIFECYCLE MODULE — Empty, Dormant & Stale Group Cleanup
+// ===========================
+
+/**
+ * Classifies one group against LIFECYCLE_POLICY.
+ * - "Empty" — no direct members.
+ * - "Dormant" — newest Groups activity is older than `dormantDays`.
+ * - "Stale" — newest admin change is older than `staleDays`.
+ * '' means the fetch worked but found no event in the last `lookbackDays`, so the group counts as
+ * inactive for that long (enough to flag it once `lookbackDays` reaches the threshold).
+ * null means the fetch failed: unknown, never dormant or stale.
+ *
+ * @param {{directMembersCount: number}} group
+ * @param {string|null} lastActivity - Newest Groups activity time.
+ * @param {string|null} lastChange - Newest admin audit change time.
+ * @param {Date} [now]
+ * @param {Object} [policy=LIFECYCLE_POLICY]
+ * @returns {string[]}
+ */
+function classifyGroupLifecycle(group, lastActivity, lastChange, now = new Date(), policy = LIFECYCLE_POLICY) {
+    const olderThan = (time, days) => {
+        if (time === null || time === undefined) return false;
+        if (time === '') return policy.lookbackDays >= days;
+        return now.getTime() - new Date(time).getTime() > days * 24 * 60 * 60 * 1000;
+    };
+    const findings = [];
+
+    if (Number(group.directMembersCount || 0) === 0) findings.push('Empty');
+    if (olderThan(lastActivity, policy.dormantDays)) findings.push('Dormant');
+    if (olderThan(lastChange, policy.staleDays)) findings.push('Stale');
+    return findings;
+}
+
+/**
+ * Reads the Reports API signals for lifecycle classification over LIFECYCLE_POLICY.lookbackDays.
+ * @param {string[]} [groupEmails] - Restrict the audit fetch to these groups.
+ * @returns {{activity: Object<string, string>|null, changesByGroup: Object<string, Object[]>|null}} null where a fetch failed.
+ */
+function fetchLifecycleSignals(groupEmails = null) {
+    const since = new Date(Date.now() - LIFECYCLE_POLICY.lookbackDays * 24 * 60 * 60 * 1000).toISOString();
+    return {
+        activity: fetchGroupActivityTimes(since),
+        changesByGroup: fetchGroupAuditEvents(since, groupEmails)
+    };
+}
+
+/**
+ * Rebuilds GROUP LIFECYCLE from the last GROUP LIST refresh and the Reports API.
+ * Groups with findings are listed; rows an admin has already marked are kept (with refreshed findings)
+ * so their schedule survives even if the group no longer qualifies.
+ *
+ * @returns {Object[]} The report entries.
+ */
+function buildLifecycleReport() {
+    const groups = getStoredData("GROUP_NORMALIZED_DATA") || [];
+    if (groups.length === 0) {
+        errorLog("❌ No GROUP LIST data stored — run listGroups before building the lifecycle report.");
+        return [];
+    }
+
+    const now = new Date();
+    const { activity, changesByGroup } = fetchLifecycleSignals();
+    if (!activity) warnLog("⚠️ Groups activity unavailable — dormancy not evaluated this run.");
+    if (!changesByGroup) warnLog("⚠️ Admin audit events unavailable — staleness not evaluated this run.");
+
+    const existing = {};
+    readLifecycleReport().forEach(r => existing[r.email] = r);
+
+    const entries = [];
+    groups.forEach(group => {
+        const email = String(group.email).toLowerCase();
+        const lastActivity = activity ? (activity[email] || '') : null;
+        const lastChange = changesByGroup ? (changesByGroup[email]?.[0]?.time || '') : null;
+        const findings = classifyGroupLifecycle(group, lastActivity, lastChange, now);
+        const previous = existing[email];
+        delete existing[email];
+
+        if (findings.length === 0 && !previous?.action && !previous?.status) return;
+        entries.push({
+            ...previous,
+            email,
+            name: group.name || '',
+            directMembers: group.directMembersCount || 0,
+            lastActivity: lastActivity ?? previous?.lastActivity ?? '',
+            lastChange: lastChange ?? previous?.lastChange ?? '',
+            findings: findings.join(', ')
+        });
+    });
+
+    // Groups gone from the directory (e.g. already deleted) keep their row only if it records an action
+    Object.values(existing)
+        .filter(r => r.status)
+        .forEach(r => entries.push({ ...r, findings: r.status === LIFECYCLE_STATUS.DELETED ? r.findings : 'Not in directory' }));
+
+    writeLifecycleReport(entries);
+    infoLog(`🗂️ Lifecycle report: ${entries.filter(e => e.findings).length} group(s) flagged, ${entries.filter(e => e.status === LIFECYCLE_STATUS.SCHEDULED).length} scheduled`);
+    return entries;
+}
+
+/**
+ * Works through GROUP LIFECYCLE:
+ * - a newly chosen Action is scheduled `graceDays` out and the group's active owners are emailed;
+ * - a Scheduled or Awaiting Confirmation row whose Action was cleared is cancelled;
+ * - a Scheduled row past its Execute After date is re-checked against live data (verifyLifecycleFindings)
+ *   and cancelled if its findings have cleared. Otherwise an Archive runs (archiveOnly, through
+ *   applySettingsUpdates so it can be reverted) and a Delete moves to Awaiting Confirmation —
+ *   only confirmLifecycleDeletions deletes. If the live data cannot be read, nothing runs this time.
+ *
+ * @param {{dryRun?: boolean}} [options]
+ * @returns {Object[]} The rows that changed.
+ */
+function processLifecycleActions(options = {}) {
+    const { dryRun = false } = options;
+    const now = new Date();
+    const membersByGroup = readGroupMembersFromSheet();
+    const actor = getActiveUserEmail() || 'unknown';
+    const updated = [];
+    const due = [];
+
+    readLifecycleReport().forEach(row => {
+        const action = LIFECYCLE_ACTIONS.includes(row.action) ? row.action : '';
+
+        if (!row.status && action) {
+            const executeAfter = new Date(now.getTime() + LIFECYCLE_POLICY.graceDays * 24 * 60 * 60 * 1000).toISOString();
+            const notified = dryRun ? [] : notifyLifecycleOwners(row.email, action, executeAfter, membersByGroup[row.email] || []);
+            updated.push({
+                ...row,
+                markedBy: actor,
+                markedAt: now.toISOString(),
+                executeAfter,
+                ownersNotified: notified.length > 0 ? notified.join(', ') : 'No active owners',
+                status: LIFECYCLE_STATUS.SCHEDULED
+            });
+            return;
+        }
+
+        if (row.status !== LIFECYCLE_STATUS.SCHEDULED && row.status !== LIFECYCLE_STATUS.AWAITING_CONFIRMATION) return;
+
+        if (!action) {
+            updated.push({ ...row, status: LIFECYCLE_STATUS.CANCELLED });
+        } else if (row.status === LIFECYCLE_STATUS.SCHEDULED && new Date(row.executeAfter).getTime() <= now.getTime()) {
+            due.push({ ...row, action });
+        }
+    });
+
+    const verified = due.length > 0 ? verifyLifecycleFindings(due) : {};
+    due.forEach(row => {
+        if (!verified) return;
+        const findings = verified[row.email];
+        if (findings === undefined) return;
+        if (!findings) {
+            updated.push({ ...row, findings: '', status: LIFECYCLE_STATUS.CANCELLED });
+        } else if (row.action === 'Delete') {
+            updated.push({ ...row, findings, status: LIFECYCLE_STATUS.AWAITING_CONFIRMATION });
+        } else {
+            updated.push(executeLifecycleAction({ ...row, findings }, row.action, dryRun));
+        }
+    });
+
+    if (dryRun) {
+        updated.forEach(r => debugLog(`🧪 Dry run: ${r.email} → ${r.status}`));
+        return updated;
+    }
+
+    updateLifecycleRows(updated);
+    updated.forEach(r => logEventToSheet("GroupLifecycleLog", r.email, `${r.action || 'No Action'}: ${r.status}`, '', r.findings));
+    infoLog(`🗂️ Lifecycle: ${updated.length} group(s) updated`);
+    return updated;
+}
+
+/**
+ * ✅ Deletes the Awaiting Confirmation groups after a person confirms them. Each group is re-checked
+ * against live data right before its DELETE; groups whose findings cleared are cancelled instead.
+ *
+ * @returns {Object[]} The rows that changed.
+ */
+function confirmLifecycleDeletions() {
+    const pending = readLifecycleReport()
+        .filter(r => r.status === LIFECYCLE_STATUS.AWAITING_CONFIRMATION && r.action === 'Delete');
+    if (pending.length === 0) {
+        debugLog("✅ No deletions awaiting confirmation.");
+        return [];
+    }
+
+    const ui = SpreadsheetApp.getUi();
+    const prompt = `You are about to PERMANENTLY DELETE ${pending.length} group(s):\n\n${pending.map(r => `${r.email} (${r.findings})`).join('\n')}\n\nEach group is re-checked first. Proceed?`;
+    if (ui.alert("⚠️ Confirm Group Deletion", prompt, ui.ButtonSet.YES_NO) !== ui.Button.YES) {
+        debugLog("❌ Lifecycle deletions cancelled by user.");
+        return [];
+    }
+
+    const verified = verifyLifecycleFindings(pending);
+    if (!verified) return [];
+
+    const { dryRun } = resolveExecutionOptions();
+    const confirmedBy = getActiveUserEmail() || 'unknown';
+    const updated = [];
+    pending.forEach(row => {
+        const findings = verified[row.email];
+        if (findings === undefined) return;
+        updated.push(findings
+            ? { ...executeLifecycleAction({ ...row, findings }, 'Delete', dryRun), confirmedBy }
+            : { ...row, findings: '', status: LIFECYCLE_STATUS.CANCELLED, confirmedBy });
+    });
+
+    if (dryRun) {
+        updated.forEach(r => debugLog(`🧪 Dry run: ${r.email} → ${r.status}`));
+        return updated;
+    }
+
+    updateLifecycleRows(updated);
+    updated.forEach(r => logEventToSheet("GroupLifecycleLog", r.email, `Delete (confirmed by ${confirmedBy}): ${r.status}`, '', r.findings));
+    infoLog(`🗂️ Lifecycle: ${updated.filter(r => r.status === LIFECYCLE_STATUS.DELETED).length} group(s) deleted by ${confirmedBy}`);
+    return updated;
+}
+
+/**
+ * Re-classifies rows from live data: the group itself (direct member count), Groups activity and
+ * admin audit events are fetched again instead of trusting the report.
+ *
+ * @param {Object[]} rows - GROUP LIFECYCLE rows.
+ * @returns {Object<string, string>|null} email → current findings ('' when cleared); groups that could
+ *   not be read are left out. null if the Reports API could not be read — then nothing may run.
+ */
+function verifyLifecycleFindings(rows) {
+    const emails = rows.map(r => r.email);
+    const { activity, changesByGroup } = fetchLifecycleSignals(emails);
+    if (!activity || !changesByGroup) {
+        errorLog("❌ Lifecycle actions held: Reports API unavailable, so findings could not be re-checked.");
+        return null;
+    }
+
+    const now = new Date();
+    const findings = {};
+    fetchAllGroupDetails(emails).forEach((group, i) => {
+        const email = emails[i];
+        if (!group) {
+            warnLog(`⚠️ ${email} could not be read — lifecycle action held.`);
+            return;
+        }
+        findings[email] = classifyGroupLifecycle(group.data, activity[email] || '', changesByGroup[email]?.[0]?.time || '', now).join(', ');
+    });
+    return findings;
+}
+
+function executeLifecycleAction(row, action, dryRun) {
+    if (dryRun) return { ...row, status: `DRY RUN ${action}` };
+
+    if (action === 'Archive') {
+        const results = applySettingsUpdates({ [row.email]: { archiveOnly: 'true' } }, { source: 'Lifecycle' });
+        logUpdateResults(results);
+        return { ...row, status: results[0]?.success ? LIFECYCLE_STATUS.ARCHIVED : LIFECYCLE_STATUS.FAILED };
+    }
+
+    try {
+        const response = deleteGroup(row.email);
+        const status = response.getResponseCode();
+        if (status >= 200 && status < 300) return { ...row, status: LIFECYCLE_STATUS.DELETED };
+        errorLog(`❌ Failed to delete ${row.email}`, response.getContentText().slice(0, 300));
+    } catch (err) {
+        errorLog(`❌ Exception while deleting ${row.email}`, err.toString());
+    }
+    return { ...row, status: LIFECYCLE_STATUS.FAILED };
+}
+
+/**
+ * Emails the group's active owners that it will be archived or deleted.
+ * @returns {string[]} The owners notified.
+ */
+function notifyLifecycleOwners(groupEmail, action, executeAfter, members) {
+    const owners = members
+        .filter(m => m.role === 'OWNER' && m.type === 'USER' && isActiveMember(m))
+        .map(m => m.email);
+    if (owners.length === 0) {
+        warnLog(`⚠️ ${groupEmail} has no active owners to notify`);
+        return [];
+    }
+
+    const verb = action === 'Delete' ? 'deleted' : 'archived';
+    try {
+        MailApp.sendEmail({
+            to: owners.join(','),
+            subject: `Google Group ${groupEmail} will be ${verb} on ${executeAfter.slice(0, 10)}`,
+            body: `The group ${groupEmail} has been identified as inactive and is scheduled to be ${verb} on ${executeAfter.slice(0, 10)}.\n\n` +
+                `If the group is still needed, reply to this email or contact your Workspace administrator before that date.`
+        });
+    } catch (err) {
+        errorLog(`❌ Failed to notify owners of ${groupEmail}`, err.toString());
+        return [];
+    }
+
+    debugLog(`📧 Notified ${owners.length} owner(s) of ${groupEmail} (${action})`);
+    return owners;
+}
+
+function installLifecycleTrigger() {
+    ScriptApp.getProjectTriggers()
+        .filter(t => t.getHandlerFunction() === 'runLifecycleMaintenance')
+        .forEach(t => ScriptApp.deleteTrigger(t));
+
+    ScriptApp.newTrigger('runLifecycleMaintenance')
+        .timeBased()
+        .everyHours(LIFECYCLE_POLICY.triggerEveryHours)
+        .create();
+
+    infoLog(`⏰ Lifecycle trigger installed (every ${LIFECYCLE_POLICY.triggerEveryHours}h)`);
+}
+
+/**
+ * Trigger entry point: refreshes findings first so groups that became active again are cancelled, not removed.
+ * Never deletes — due Deletes wait for confirmLifecycleDeletions.
+ */
+function runLifecycleMaintenance() {
+    buildLifecycleReport();
+    return processLifecycleActions({ dryRun: resolveExecutionOptions().dryRun });
+}
+
+// ===========================
+// 📋 GROUP LIFECYCLE Sheet Access
+// ===========================
+
+function readLifecycleReport() {
+    const headers = HEADERS[SHEET_NAMES.GROUP_LIFECYCLE];
+    const sheet = getOrCreateSheet(SHEET_NAMES.GROUP_LIFECYCLE, headers);
+    if (sheet.getLastRow() <= 1) return [];
+
+    const col = name => headers.indexOf(name);
+    return sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues()
+        .map((row, i) => ({
+            row: i + 2,
+            email: String(row[col('Email')]).trim().toLowerCase(),
+            name: row[col('Name')],
+            directMembers: row[col('Direct Members')],
+            lastActivity: row[col('Last Activity')],
+            lastChange: row[col('Last Admin Change')],
+            findings: row[col('Findings')],
+            action: String(row[col('Action')]).trim(),
+            markedBy: row[col('Marked By')],
+            markedAt: row[col('Marked At')],
+            executeAfter: row[col('Execute After')],
+            ownersNotified: row[col('Owners Notified')],
+            status: row[col('Status')],
+            confirmedBy: row[col('Confirmed By')]
+        }))
+        .filter(r => r.email);
+}
+
+function writeLifecycleReport(entries) {
+    const headers = HEADERS[SHEET_NAMES.GROUP_LIFECYCLE];
+    const sheet = getOrCreateSheet(SHEET_NAMES.GROUP_LIFECYCLE, headers);
+
+    if (sheet.getLastRow() > 1) {
+        sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).clearContent();
+    }
+    if (entries.length === 0) return;
+
+    const now = new Date().toISOString();
+    sheet.getRange(2, 1, entries.length, headers.length).setValues(entries.map(e => lifecycleEntryToRow(e, now)));
+
+    const actionRule = SpreadsheetApp.newDataValidation()
+        .requireValueInList(LIFECYCLE_ACTIONS, true)
+        .setAllowInvalid(false)
+        .build();
+    sheet.getRange(2, headers.indexOf('Action') + 1, entries.length).setDataValidation(actionRule);
+
+    debugLog(`✅ Wrote ${entries.length} rows to "${SHEET_NAMES.GROUP_LIFECYCLE}"`);
+    formatSheet(sheet, headers);
+}
+
+function updateLifecycleRows(entries) {
+    if (entries.length === 0) return;
+
+    const headers = HEADERS[SHEET_NAMES.GROUP_LIFECYCLE];
+    const sheet = getOrCreateSheet(SHEET_NAMES.GROUP_LIFECYCLE, headers);
+    const now = new Date().toISOString();
+    entries.forEach(e => sheet.getRange(e.row, 1, 1, headers.length).setValues([lifecycleEntryToRow(e, now)]));
+}
+
+function lifecycleEntryToRow(e, now) {
+    return [
+        e.email,
+        getEmailDomain(e.email),
+        e.name || '',
+        e.directMembers ?? '',
+        e.lastActivity || '',
+        e.lastChange || '',
+        e.findings || '',
+        e.action || '',
+        e.markedBy || '',
+        e.markedAt || '',
+        e.executeAfter || '',
+        e.ownersNotified || '',
+        e.status || '',
+        e.confirmedBy || '',
+        now
+    ];
+}
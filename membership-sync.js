@@ -0,0 +1,244 @@
+// ===========================
+// 🔄 MEMBERSHIP SYNC MODULE — Declarative Membership from MEMBERSHIP SOURCE
+// ===========================
+
+/**
+ * Reads intended membership from MEMBERSHIP SOURCE (groups may be given by alias). Every group listed there is "managed":
+ * its live membership will be reconciled to exactly these rows.
+ * Rows with a missing email or an unknown role are rejected and reported.
+ *
+ * @returns {{membersByGroup: Object<string, Array<{email: string, role: string}>>, errors: string[]}}
+ */
+function loadMembershipSource() {
+    const headers = HEADERS[SHEET_NAMES.MEMBERSHIP_SOURCE];
+    const sheet = getOrCreateSheet(SHEET_NAMES.MEMBERSHIP_SOURCE, headers);
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) return { membersByGroup: {}, errors: [] };
+
+    const membersByGroup = {};
+    const errors = [];
+
+    sheet.getRange(2, 1, lastRow - 1, headers.length).getValues().forEach((row, i) => {
+        const [groupCell, memberCell, roleCell] = row;
+        const groupEmail = resolveGroupEmail(groupCell);
+        const memberEmail = String(memberCell).trim().toLowerCase();
+        const role = String(roleCell || 'MEMBER').trim().toUpperCase();
+        if (!groupEmail && !memberEmail) return;
+
+        let error = null;
+        if (!groupEmail.includes('@') || !memberEmail.includes('@')) error = 'needs a group email and a member email';
+        else if (!MEMBER_ROLES.includes(role)) error = `invalid role "${role}" (allowed: ${MEMBER_ROLES.join(', ')})`;
+        else if ((membersByGroup[groupEmail] || []).some(m => m.email === memberEmail)) error = `duplicate of an earlier row for ${memberEmail}`;
+
+        if (error) {
+            const message = `${SHEET_NAMES.MEMBERSHIP_SOURCE} row ${i + 2}: ${error} — ignored.`;
+            errorLog(`❌ ${message}`);
+            errors.push(message);
+            return;
+        }
+
+        if (!membersByGroup[groupEmail]) membersByGroup[groupEmail] = [];
+        membersByGroup[groupEmail].push({ email: memberEmail, role });
+    });
+
+    debugLog(`📋 Loaded intended membership for ${Object.keys(membersByGroup).length} group(s) (${errors.length} rejected row(s))`);
+    return { membersByGroup, errors };
+}
+
+/**
+ * Works out the adds, removals and role changes that turn `live` into `intended` for one group.
+ * CUSTOMER members (everyone in the domain) have no email to list in MEMBERSHIP SOURCE, so they are
+ * left alone rather than proposed for removal.
+ *
+ * @param {string} groupEmail
+ * @param {Array<{email: string, role: string}>} intended
+ * @param {Array<{email: string, role: string}>} live - Normalized live members.
+ * @returns {Array<{groupEmail: string, memberEmail: string, action: string, currentRole: string, targetRole: string}>}
+ *   `action` is "Add", "Remove" or "Change Role".
+ */
+function buildMembershipSyncPlan(groupEmail, intended, live) {
+    const liveRoles = {};
+    live.filter(m => m.type !== 'CUSTOMER').forEach(m => liveRoles[m.email] = m.role);
+    const intendedRoles = {};
+    intended.forEach(m => intendedRoles[m.email] = m.role);
+
+    const plan = [];
+    Object.entries(intendedRoles).forEach(([memberEmail, targetRole]) => {
+        const currentRole = liveRoles[memberEmail];
+        if (!currentRole) {
+            plan.push({ groupEmail, memberEmail, action: 'Add', currentRole: '', targetRole });
+        } else if (currentRole !== targetRole) {
+            plan.push({ groupEmail, memberEmail, action: 'Change Role', currentRole, targetRole });
+        }
+    });
+    Object.entries(liveRoles).forEach(([memberEmail, currentRole]) => {
+        if (!intendedRoles[memberEmail]) {
+            plan.push({ groupEmail, memberEmail, action: 'Remove', currentRole, targetRole: '' });
+        }
+    });
+
+    return plan;
+}
+
+/**
+ * Reconciles MEMBERSHIP SOURCE against live Directory membership and writes the
+ * result to MEMBERSHIP SYNC PLAN for review. Nothing is changed in the Directory.
+ *
+ * @returns {Object[]} The planned actions.
+ */
+function planMembershipSync() {
+    const { membersByGroup } = loadMembershipSource();
+    const plan = [];
+
+    Object.entries(membersByGroup).forEach(([groupEmail, intended]) => {
+        const live = fetchGroupMembers(groupEmail);
+        if (live.error) {
+            errorLog(`❌ Skipping ${groupEmail} — live membership could not be fetched.`);
+            return;
+        }
+        plan.push(...buildMembershipSyncPlan(groupEmail, intended, live.members));
+    });
+
+    writeMembershipSyncPlan(plan);
+    infoLog(`🔄 Membership sync plan: ${plan.length} change(s) across ${new Set(plan.map(p => p.groupEmail)).size} group(s)`);
+    return plan;
+}
+
+/**
+ * Applies the ticked, not yet applied MEMBERSHIP SYNC PLAN rows through the Directory members API,
+ * records each outcome in the plan's Status column and logs it to MEMBERSHIP UPDATE LOG.
+ * Live membership is re-read first and a row is only applied while the member is still as the plan
+ * found it (see checkMembershipSyncAction); otherwise it is marked Stale and the plan should be rebuilt.
+ *
+ * @param {{dryRun?: boolean, source?: string}} [options]
+ * @returns {Object[]} One result per action.
+ */
+function applyMembershipSyncPlan(options = {}) {
+    const { dryRun = false, source = 'Membership Sync' } = options;
+    const actions = readMembershipSyncPlan().filter(a => a.apply && !a.status);
+    const liveByGroup = {};
+    const results = [];
+
+    actions.forEach((action, i) => {
+        const { groupEmail, memberEmail, targetRole } = action;
+        if (!liveByGroup[groupEmail]) liveByGroup[groupEmail] = fetchGroupMembers(groupEmail);
+
+        const problem = checkMembershipSyncAction(action, liveByGroup[groupEmail]);
+        if (problem) {
+            warnLog(`⚠️ [${i + 1}] ${action.action} ${memberEmail} in ${groupEmail} not applied: ${problem}`);
+            results.push({ ...action, status: 'Stale', success: false, error: problem, source });
+            return;
+        }
+
+        if (dryRun) {
+            results.push({ ...action, status: 'DRY RUN', success: true, source });
+            return;
+        }
+
+        try {
+            debugLog(`🚀 [${i + 1}/${actions.length}] ${action.action} ${memberEmail} in ${groupEmail}`);
+            const response = action.action === 'Add' ? insertGroupMember(groupEmail, memberEmail, targetRole)
+                : action.action === 'Change Role' ? updateGroupMemberRole(groupEmail, memberEmail, targetRole)
+                : removeGroupMember(groupEmail, memberEmail);
+
+            const status = response.getResponseCode();
+            const success = status >= 200 && status < 300;
+            if (!success) errorLog(`❌ [${i + 1}] ${action.action} failed for ${memberEmail} in ${groupEmail}`, response.getContentText());
+            results.push({ ...action, status, success, error: success ? '' : response.getContentText(), source });
+        } catch (err) {
+            errorLog(`❌ [${i + 1}] Exception during ${action.action} for ${memberEmail} in ${groupEmail}`, err.toString());
+            results.push({ ...action, success: false, error: err.toString(), source });
+        }
+    });
+
+    if (!dryRun) markMembershipSyncPlan(results);
+    logMembershipUpdateResults(results);
+    return results;
+}
+
+/**
+ * Checks a planned action against freshly fetched membership.
+ *
+ * @param {Object} action - A MEMBERSHIP SYNC PLAN row.
+ * @param {{members?: Object[], error?: boolean}} live - Output of fetchGroupMembers().
+ * @returns {string|null} Why the action may not be applied, or null.
+ */
+function checkMembershipSyncAction(action, live) {
+    if (live.error) return 'live membership could not be read';
+
+    const current = live.members.find(m => m.email === action.memberEmail);
+    if (current?.type === 'CUSTOMER') return 'domain-wide (CUSTOMER) membership is never changed by sync';
+    if (action.action === 'Add') return current ? `already a member (${current.role})` : null;
+    if (!current) return 'no longer a member';
+    if (current.role !== action.currentRole) return `role is now ${current.role}, planned from ${action.currentRole}`;
+    return null;
+}
+
+// ===========================
+// 📋 Plan & Log Sheet Access
+// ===========================
+
+function writeMembershipSyncPlan(plan) {
+    const headers = HEADERS[SHEET_NAMES.MEMBERSHIP_SYNC_PLAN];
+    const sheet = getOrCreateSheet(SHEET_NAMES.MEMBERSHIP_SYNC_PLAN, headers);
+
+    if (sheet.getLastRow() > 1) {
+        sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).clearContent();
+    }
+    if (plan.length === 0) return;
+
+    const now = new Date().toISOString();
+    const rows = plan.map(p => [p.groupEmail, p.memberEmail, p.action, p.currentRole, p.targetRole, '', now, false]);
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    sheet.getRange(2, headers.indexOf('Apply') + 1, rows.length).insertCheckboxes();
+    debugLog(`✅ Wrote ${rows.length} planned change(s) to "${SHEET_NAMES.MEMBERSHIP_SYNC_PLAN}"`);
+}
+
+function readMembershipSyncPlan() {
+    const headers = HEADERS[SHEET_NAMES.MEMBERSHIP_SYNC_PLAN];
+    const sheet = getOrCreateSheet(SHEET_NAMES.MEMBERSHIP_SYNC_PLAN, headers);
+    if (sheet.getLastRow() <= 1) return [];
+
+    const col = name => headers.indexOf(name);
+    return sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues()
+        .map((row, i) => ({
+            row: i + 2,
+            groupEmail: row[col('Group Email')],
+            memberEmail: row[col('Member Email')],
+            action: row[col('Action')],
+            currentRole: row[col('Current Role')],
+            targetRole: row[col('Target Role')],
+            status: row[col('Status')],
+            apply: row[col('Apply')] === true
+        }))
+        .filter(a => a.groupEmail && a.memberEmail);
+}
+
+function markMembershipSyncPlan(results) {
+    const headers = HEADERS[SHEET_NAMES.MEMBERSHIP_SYNC_PLAN];
+    const sheet = getOrCreateSheet(SHEET_NAMES.MEMBERSHIP_SYNC_PLAN, headers);
+    const colIndex = headers.indexOf('Status') + 1;
+    results.forEach(r => sheet.getRange(r.row, colIndex).setValue(r.success ? '✅ Applied' : `❌ ${r.status || 'Error'}`));
+}
+
+function logMembershipUpdateResults(results) {
+    if (results.length === 0) return;
+
+    const headers = HEADERS[SHEET_NAMES.MEMBERSHIP_UPDATE_LOG];
+    const sheet = getOrCreateSheet(SHEET_NAMES.MEMBERSHIP_UPDATE_LOG, headers);
+
+    const now = new Date().toISOString();
+    const rows = results.map(r => [
+        now,
+        r.groupEmail,
+        r.memberEmail,
+        r.action,
+        r.status || '',
+        r.success ? '✅' : '❌',
+        r.error || '',
+        r.source || 'Membership Sync'
+    ]);
+
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, headers.length).setValues(rows);
+    debugLog(`📝 Logged ${rows.length} membership update(s) to ${SHEET_NAMES.MEMBERSHIP_UPDATE_LOG}`);
+}
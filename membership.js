@@ -0,0 +1,233 @@
+// ===========================
+// 👥 MEMBERSHIP MODULE — Membership-Derived Policy & Audits
+// ===========================
+
+/**
+ * Computes the MEMBERSHIP_POLICY_SCHEMA values for every group in the inventory.
+ * GROUP MEMBERS has no rows for a group without members, so groups the Directory reports with
+ * directMembersCount 0 are evaluated with an empty member list (NO_OWNER). Any other group missing
+ * from GROUP MEMBERS (not inventoried yet) gets no values, so its membership keys are not evaluated.
+ *
+ * @param {Object<string, Object[]>} membersByGroup - Output of readGroupMembersFromSheet().
+ * @param {Object[]} [groups=[]] - Inventoried groups (GROUP_NORMALIZED_DATA).
+ * @returns {Object<string, {externalMembers: string, ownership: string, nesting: string}>}
+ */
+function deriveMembershipSettings(membersByGroup, groups = []) {
+    const seeded = { ...membersByGroup };
+    groups.forEach(({ email, directMembersCount }) => {
+        const key = String(email || '').toLowerCase();
+        if (key && !seeded[key] && Number(directMembersCount) === 0) seeded[key] = [];
+    });
+
+    const derived = {};
+    Object.entries(seeded).forEach(([email, members]) => {
+        derived[email] = {
+            externalMembers: members.some(isExternalMember) ? 'PRESENT' : 'NONE',
+            ownership: getOwnershipState(members),
+            nesting: getNestingState(expandGroupMembership(email, seeded))
+        };
+    });
+    return derived;
+}
+
+/**
+ * A USER or GROUP member whose address is outside the Workspace domain.
+ * CUSTOMER members (the whole domain) are always internal.
+ */
+function isExternalMember(member) {
+    return member.type !== 'CUSTOMER' && !isInternalEmail(member.email);
+}
+
+/**
+ * Classifies who can still manage a group (see MEMBERSHIP_POLICY_SCHEMA.ownership).
+ *
+ * @param {Object[]} members - Normalized members of one group.
+ * @param {number} [minimum=OWNERSHIP_POLICY.minOwnersAndManagers]
+ * @returns {string} OK, UNDER_MANAGED, INACTIVE_OWNER or NO_OWNER.
+ */
+function getOwnershipState(members, minimum = OWNERSHIP_POLICY.minOwnersAndManagers) {
+    const owners = members.filter(m => m.role === 'OWNER');
+    if (owners.length === 0) return 'NO_OWNER';
+    if (getInactiveOwners(members).length > 0) return 'INACTIVE_OWNER';
+
+    const activeManagers = members.filter(m => m.role === 'MANAGER' && isActiveMember(m));
+    return owners.length + activeManagers.length < minimum ? 'UNDER_MANAGED' : 'OK';
+}
+
+function getInactiveOwners(members) {
+    return members.filter(m => m.role === 'OWNER' && !isActiveMember(m));
+}
+
+/**
+ * Splits each INACTIVE_OWNER violation into one DETAIL REPORT row per suspended or deleted owner,
+ * naming the owner and its status in `change`. Summary and history keep the unexpanded violations,
+ * so a group's count and risk score do not grow with the number of inactive owners.
+ *
+ * @param {Object[]} violations - Output of filterGroupSettings().
+ * @param {Object<string, Object[]>} membersByGroup - Output of readGroupMembersFromSheet().
+ * @returns {Object[]}
+ */
+function expandInactiveOwnerViolations(violations, membersByGroup) {
+    return violations.reduce((all, v) => {
+        const inactive = v.key === 'ownership' && v.actual === 'INACTIVE_OWNER'
+            ? getInactiveOwners(membersByGroup[v.email] || [])
+            : [];
+        if (inactive.length === 0) return all.concat(v);
+        return all.concat(inactive.map(owner => ({ ...v, change: `Owner ${owner.email} is ${owner.status || 'inactive'}` })));
+    }, []);
+}
+
+/**
+ * Users count as active only with status ACTIVE (suspended, archived and deleted accounts do not);
+ * nested groups have no status and always count.
+ */
+function isActiveMember(member) {
+    return member.type !== 'USER' || member.status === 'ACTIVE';
+}
+
+// ===========================
+// 🔀 Membership Diff
+// ===========================
+
+/**
+ * Compares a group's previous and current members (matched by email).
+ *
+ * @param {string} groupEmail
+ * @param {Object[]} previous - Normalized members before the refresh.
+ * @param {Object[]} current - Normalized members after the refresh.
+ * @returns {Array<{groupEmail: string, memberEmail: string, action: string, oldRole: string, newRole: string}>}
+ *   `action` is "Member Added", "Member Removed" or "Role Changed".
+ */
+function diffGroupMembers(groupEmail, previous, current) {
+    const before = {};
+    previous.forEach(m => before[m.email] = m.role);
+    const after = {};
+    current.forEach(m => after[m.email] = m.role);
+
+    const changes = [];
+    Object.entries(after).forEach(([memberEmail, newRole]) => {
+        const oldRole = before[memberEmail];
+        if (!oldRole) {
+            changes.push({ groupEmail, memberEmail, action: 'Member Added', oldRole: '', newRole });
+        } else if (oldRole !== newRole) {
+            changes.push({ groupEmail, memberEmail, action: 'Role Changed', oldRole, newRole });
+        }
+    });
+    Object.entries(before).forEach(([memberEmail, oldRole]) => {
+        if (!after[memberEmail]) {
+            changes.push({ groupEmail, memberEmail, action: 'Member Removed', oldRole, newRole: '' });
+        }
+    });
+
+    return changes;
+}
+
+// ===========================
+// 🪆 Nested Group Expansion
+// ===========================
+
+/**
+ * Resolves a group's nested groups (from the inventory) into its effective membership.
+ * Nested groups missing from GROUP MEMBERS cannot be expanded and are listed as `unresolved`.
+ *
+ * @param {string} rootEmail
+ * @param {Object<string, Object[]>} membersByGroup - Output of readGroupMembersFromSheet().
+ * @returns {{email: string, directMembers: number, nestedGroups: string[], effectiveMembers: string[], depth: number, cycle: string[]|null, unresolved: string[]}}
+ *   `depth` is 0 without nested groups; `cycle` is the first loop found, e.g. [a, b, a].
+ */
+function expandGroupMembership(rootEmail, membersByGroup) {
+    const effective = new Set();
+    const unresolved = new Set();
+    const deepestVisit = {};
+    let depth = 0;
+    let cycle = null;
+
+    const walk = path => {
+        (membersByGroup[path[path.length - 1]] || []).forEach(member => {
+            if (member.type !== 'GROUP') {
+                effective.add(member.email);
+                return;
+            }
+
+            const nested = member.email;
+            if (path.includes(nested)) {
+                if (!cycle) cycle = [...path.slice(path.indexOf(nested)), nested];
+                return;
+            }
+
+            depth = Math.max(depth, path.length);
+            if (!membersByGroup[nested]) {
+                unresolved.add(nested);
+                return;
+            }
+
+            // Revisit a group only when reached by a longer path, so depth stays exact without looping
+            if ((deepestVisit[nested] || 0) >= path.length) return;
+            deepestVisit[nested] = path.length;
+            walk([...path, nested]);
+        });
+    };
+
+    walk([rootEmail]);
+
+    const direct = membersByGroup[rootEmail] || [];
+    return {
+        email: rootEmail,
+        directMembers: direct.length,
+        nestedGroups: direct.filter(m => m.type === 'GROUP').map(m => m.email),
+        effectiveMembers: [...effective].sort(),
+        depth,
+        cycle,
+        unresolved: [...unresolved].sort()
+    };
+}
+
+function getNestingState(expansion, maxDepth = NESTING_POLICY.maxDepth) {
+    if (expansion.cycle) return 'CYCLE';
+    return expansion.depth > maxDepth ? 'TOO_DEEP' : 'OK';
+}
+
+// ===========================
+// 🌍 External Member Audit
+// ===========================
+
+/**
+ * Lists every external member with the group's visibility settings and a finding:
+ * - "Forbidden by policy" — the group's profile expects externalMembers NONE.
+ * - "Setting disallows" — allowExternalMembers is false (members predate the setting, or were added by an admin).
+ * - "Allowed" — neither of the above.
+ *
+ * @param {Array<{email: string, settings: Object}>} groupSettings - Groups with fetched settings.
+ * @param {Object<string, Object[]>} membersByGroup - Output of readGroupMembersFromSheet().
+ * @returns {Object[]} One entry per external member.
+ */
+function auditExternalMembers(groupSettings, membersByGroup) {
+    const findings = [];
+
+    groupSettings.forEach(({ email, settings = {} }) => {
+        const external = (membersByGroup[email] || []).filter(isExternalMember);
+        if (external.length === 0) return;
+
+        const profile = resolvePolicyProfile({ email, name: settings.name });
+        const forbidden = profile.settings.externalMembers === 'NONE';
+        const settingAllows = String(settings.allowExternalMembers) === 'true';
+        const finding = forbidden ? 'Forbidden by policy' : (settingAllows ? 'Allowed' : 'Setting disallows');
+
+        external.forEach(member => findings.push({
+            groupEmail: email,
+            memberEmail: member.email,
+            role: member.role,
+            type: member.type,
+            profile: profile.name,
+            allowExternalMembers: settings.allowExternalMembers ?? 'Not Found',
+            whoCanViewGroup: settings.whoCanViewGroup ?? 'Not Found',
+            whoCanViewConversations: settings.whoCanViewConversations ?? 'Not Found',
+            whoCanPostMessage: settings.whoCanPostMessage ?? 'Not Found',
+            finding
+        }));
+    });
+
+    const flagged = findings.filter(f => f.finding !== 'Allowed').length;
+    debugLog(`🌍 External member audit: ${findings.length} external member(s), ${flagged} flagged`);
+    return findings;
+}
@@ -0,0 +1,53 @@
+// ===========================
+// 🏷️ NAMING MODULE — Group Naming-Convention Linter
+// ===========================
+
+/**
+ * Checks one group against NAMING_POLICY. Exempt groups (exemptEmails / exemptEmailPattern) pass.
+ *
+ * @param {{email: string, name?: string, description?: string}} group
+ * @param {Object} [policy=NAMING_POLICY]
+ * @returns {Array<{rule: string, problem: string, suggestion: string}>} One entry per broken rule.
+ */
+function lintGroupName(group, policy = NAMING_POLICY) {
+    const email = String(group.email || '');
+    const lower = email.toLowerCase();
+    if ((policy.exemptEmails || []).some(e => e.toLowerCase() === lower)) return [];
+    if (policy.exemptEmailPattern && new RegExp(policy.exemptEmailPattern, 'i').test(lower)) return [];
+
+    const [local, domain] = lower.split('@');
+    const findings = [];
+
+    if (policy.lowercaseEmail && email !== lower) {
+        findings.push({ rule: 'lowercaseEmail', problem: 'Email contains uppercase letters', suggestion: `Rename to ${lower}` });
+    }
+
+    const prefixes = policy.prefixes || [];
+    if (prefixes.length > 0 && !prefixes.some(p => local.startsWith(p))) {
+        findings.push({
+            rule: 'prefixes',
+            problem: `Email does not start with ${prefixes.join(', ')}`,
+            suggestion: `Rename to ${prefixes[0]}${local}@${domain} (or another approved prefix)`
+        });
+    }
+
+    if (policy.requireDescription && !String(group.description || '').trim()) {
+        findings.push({ rule: 'requireDescription', problem: 'Description is empty', suggestion: `Add a description saying what ${group.name || lower} is for` });
+    }
+
+    return findings;
+}
+
+/**
+ * Lints every group and flattens the result into NAMING REPORT rows.
+ *
+ * @param {Object[]} groups - Normalized groups, e.g. GROUP_NORMALIZED_DATA.
+ * @returns {Array<{email: string, name: string, rule: string, problem: string, suggestion: string}>}
+ */
+function lintGroupNames(groups) {
+    const findings = groups.reduce((all, group) =>
+        all.concat(lintGroupName(group).map(f => ({ email: group.email, name: group.name || '', ...f }))), []);
+
+    debugLog(`🏷️ Naming lint: ${findings.length} issue(s) across ${new Set(findings.map(f => f.email)).size} of ${groups.length} group(s)`);
+    return findings;
+}
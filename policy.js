@@ -0,0 +1,438 @@
+// ===========================
+// 🛡️ POLICY MODULE — Profiles & Expected Settings Resolution
+// ===========================
+
+let activePolicyProfiles = null;
+let activePolicySeverities = null;
+let activePolicyModes = null;
+let policyProfileAssignments = null;
+
+/**
+ * Returns all known policy profiles keyed by profile name.
+ * Profiles loaded from the POLICY sheet take precedence over the POLICY_PROFILES defaults.
+ * @returns {Object<string, Object>} profile name → expected settings
+ */
+function getPolicyProfiles() {
+    return activePolicyProfiles || POLICY_PROFILES;
+}
+
+/**
+ * Looks up a profile by name, falling back to DEFAULT_POLICY_PROFILE when unknown.
+ * MEMBERSHIP_POLICY_DEFAULTS apply to every profile unless the profile sets those keys itself.
+ * @param {string} name
+ * @returns {{name: string, settings: Object}}
+ */
+function getPolicyProfile(name) {
+    const profiles = getPolicyProfiles();
+    if (profiles[name]) {
+        return { name, settings: { ...MEMBERSHIP_POLICY_DEFAULTS, ...profiles[name] } };
+    }
+
+    warnLog(`Unknown policy profile "${name}" — using "${DEFAULT_POLICY_PROFILE}"`);
+    return { name: DEFAULT_POLICY_PROFILE, settings: { ...MEMBERSHIP_POLICY_DEFAULTS, ...(profiles[DEFAULT_POLICY_PROFILE] || {}) } };
+}
+
+/**
+ * Resolves which policy profile applies to a group.
+ * A profile assigned when the group was provisioned (assignPolicyProfile) wins; otherwise rules from
+ * POLICY_PROFILE_RULES are evaluated in order and the first match wins.
+ *
+ * @param {{email: string, name?: string}} group - Any object carrying the group email and (optionally) name.
+ * @returns {{name: string, settings: Object}}
+ */
+function resolvePolicyProfile(group) {
+    if (!policyProfileAssignments) policyProfileAssignments = loadPolicyProfileAssignments();
+    const assigned = policyProfileAssignments[resolveGroupEmail(group?.email)];
+    if (assigned) return getPolicyProfile(assigned);
+
+    const rule = POLICY_PROFILE_RULES.find(r => matchesPolicyRule(r, group || {}));
+    return getPolicyProfile(rule ? rule.profile : DEFAULT_POLICY_PROFILE);
+}
+
+/**
+ * Pins a group to a profile regardless of POLICY_PROFILE_RULES (used for groups provisioned with an
+ * explicit Profile). Pass an empty profile to drop the assignment.
+ */
+function assignPolicyProfile(email, profile) {
+    const assignments = loadPolicyProfileAssignments();
+    const key = resolveGroupEmail(email);
+    if (profile) assignments[key] = profile;
+    else delete assignments[key];
+
+    storePolicyProfileAssignments(assignments);
+    policyProfileAssignments = assignments;
+}
+
+function matchesPolicyRule(rule, group) {
+    const email = (group.email || '').toLowerCase();
+    const name = (group.name || '').toLowerCase();
+
+    if (Array.isArray(rule.emails) && rule.emails.some(e => resolveGroupEmail(e) === email)) return true;
+    if (rule.emailPattern && new RegExp(rule.emailPattern, 'i').test(email)) return true;
+    if (rule.namePattern && new RegExp(rule.namePattern, 'i').test(name)) return true;
+
+    return false;
+}
+
+// ===========================
+// 📄 POLICY Sheet — Load & Validate
+// ===========================
+
+/**
+ * Loads expected settings from the POLICY sheet, validating every enabled row.
+ * Invalid rows are rejected and reported to the RUNTIME LOG; the remaining rows become the active profiles.
+ * A profile left with no usable rows is reported and replaced by its built-in POLICY_PROFILES entry
+ * (or, for a sheet-only profile, left out so its groups fall back to DEFAULT_POLICY_PROFILE).
+ * Seeds the sheet from POLICY_PROFILES when it is empty.
+ *
+ * @returns {{profiles: Object<string, Object>, errors: string[]}}
+ */
+function loadPolicySheet() {
+    const headers = HEADERS[SHEET_NAMES.POLICY];
+    const sheet = getOrCreateSheet(SHEET_NAMES.POLICY, headers);
+    seedPolicySheet(sheet);
+
+    const lastRow = sheet.getLastRow();
+    const values = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, headers.length).getValues() : [];
+    const col = name => headers.indexOf(name);
+
+    const profiles = {};
+    const severities = {};
+    const modes = {};
+    const errors = [];
+    const named = new Set();
+
+    values.forEach((row, i) => {
+        const rowNumber = i + 2;
+        const profile = String(row[col('Profile')]).trim();
+        const key = String(row[col('Key')]).trim();
+        const expected = String(row[col('Expected')]).trim();
+
+        if (!profile && !key) return; // blank row
+
+        if (!profile) {
+            errors.push(`Row ${rowNumber}: missing profile name`);
+            return;
+        }
+
+        named.add(profile);
+        if (!isPolicyRowEnabled(row[col('Enabled')])) return;
+
+        const severity = String(row[col('Severity')] ?? '').trim().toLowerCase();
+        const mode = String(row[col('Mode')] ?? '').trim().toLowerCase() || DEFAULT_COMPARISON_MODE;
+        const error = validatePolicyMode(mode) || validatePolicyValue(key, expected, mode) || validatePolicySeverity(severity);
+        if (error) {
+            errors.push(`Row ${rowNumber} (${profile}): ${error}`);
+            return;
+        }
+
+        if (profiles[profile]?.[key] !== undefined) {
+            errors.push(`Row ${rowNumber} (${profile}): duplicate key "${key}" — keeping the first entry`);
+            return;
+        }
+
+        profiles[profile] = profiles[profile] || {};
+        profiles[profile][key] = expected;
+        modes[profile] = modes[profile] || {};
+        modes[profile][key] = mode;
+        if (severity) {
+            severities[profile] = severities[profile] || {};
+            severities[profile][key] = severity;
+        }
+    });
+
+    // A profile with no usable rows would check nothing and report every group compliant
+    named.forEach(profile => {
+        if (profiles[profile]) return;
+        if (POLICY_PROFILES[profile]) {
+            errors.push(`Profile "${profile}" has no enabled, valid rows — using the built-in profile instead`);
+            profiles[profile] = { ...POLICY_PROFILES[profile] };
+        } else {
+            errors.push(`Profile "${profile}" has no enabled, valid rows — its groups are checked against "${DEFAULT_POLICY_PROFILE}"`);
+        }
+    });
+
+    errors.forEach(e => errorLog(`❌ POLICY sheet: ${e}`));
+
+    if (Object.keys(profiles).length === 0) {
+        errorLog("❌ POLICY sheet has no usable rows — falling back to built-in POLICY_PROFILES.");
+        activePolicyProfiles = null;
+        activePolicySeverities = null;
+        activePolicyModes = null;
+        return { profiles: POLICY_PROFILES, errors };
+    }
+
+    if (!profiles[DEFAULT_POLICY_PROFILE]) {
+        warnLog(`Default profile "${DEFAULT_POLICY_PROFILE}" missing from POLICY sheet — using built-in defaults for it.`);
+        profiles[DEFAULT_POLICY_PROFILE] = { ...POLICY_PROFILES[DEFAULT_POLICY_PROFILE] };
+    }
+
+    activePolicyProfiles = profiles;
+    activePolicySeverities = severities;
+    activePolicyModes = modes;
+    debugLog(`📜 Loaded ${Object.keys(profiles).length} policy profile(s) from POLICY sheet (${errors.length} rejected row(s))`);
+    return { profiles, errors };
+}
+
+/**
+ * Writes the built-in POLICY_PROFILES into the POLICY sheet if it has no rows yet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} [sheet]
+ */
+function seedPolicySheet(sheet = getOrCreateSheet(SHEET_NAMES.POLICY, HEADERS[SHEET_NAMES.POLICY])) {
+    if (sheet.getLastRow() > 1) return;
+
+    const headers = HEADERS[SHEET_NAMES.POLICY];
+    const rows = [];
+    Object.entries(POLICY_PROFILES).forEach(([profile, settings]) => {
+        Object.entries(settings).forEach(([key, expected]) => {
+            rows.push([profile, key, expected, true, POLICY_KEY_SEVERITY[key] || DEFAULT_SEVERITY, DEFAULT_COMPARISON_MODE]);
+        });
+    });
+
+    if (rows.length === 0) return;
+
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    sheet.getRange(2, headers.indexOf('Enabled') + 1, rows.length).insertCheckboxes();
+    debugLog(`🌱 Seeded POLICY sheet with ${rows.length} row(s) from POLICY_PROFILES`);
+}
+
+function isPolicyRowEnabled(value) {
+    if (value === true) return true;
+    return ['true', 'yes', 'y', '1'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Validates a single key/expected pair against POLICY_SCHEMA (Settings API and membership keys).
+ * "one of" rows may list several comma-separated values; other modes take exactly one.
+ * @param {string} key
+ * @param {string} expected
+ * @param {string} [mode=DEFAULT_COMPARISON_MODE]
+ * @returns {string|null} Error message, or null when valid.
+ */
+function validatePolicyValue(key, expected, mode = DEFAULT_COMPARISON_MODE) {
+    const allowed = POLICY_SCHEMA[key];
+    if (!allowed) return `unknown settings key "${key}"`;
+
+    const values = parseExpectedValues(expected);
+    if (values.length === 0) return `missing expected value for "${key}"`;
+    if (values.length > 1 && mode !== COMPARISON_MODES.ONE_OF) {
+        return `"${mode}" takes a single expected value for "${key}" — use "${COMPARISON_MODES.ONE_OF}" for lists`;
+    }
+
+    const invalid = values.find(v => !allowed.includes(v));
+    if (invalid) {
+        return `invalid value "${invalid}" for "${key}" (allowed: ${allowed.join(', ')})`;
+    }
+    return null;
+}
+
+function validatePolicyMode(mode) {
+    const modes = Object.values(COMPARISON_MODES);
+    return modes.includes(mode) ? null : `invalid mode "${mode}" (allowed: ${modes.join(', ')})`;
+}
+
+function validatePolicySeverity(severity) {
+    if (!severity || SEVERITY_WEIGHTS[severity]) return null;
+    return `invalid severity "${severity}" (allowed: ${Object.keys(SEVERITY_WEIGHTS).join(', ')})`;
+}
+
+// ===========================
+// ⚖️ Comparison & Remediation
+// ===========================
+
+function getPolicyMode(profileName, key) {
+    return activePolicyModes?.[profileName]?.[key] || DEFAULT_COMPARISON_MODE;
+}
+
+function parseExpectedValues(expected) {
+    return String(expected ?? '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Position of a value in the key's POLICY_SCHEMA ordering (0 = most restrictive).
+ * @returns {number} -1 when the key or value is unknown.
+ */
+function getPermissivenessRank(key, value) {
+    const ordering = POLICY_SCHEMA[key];
+    return ordering ? ordering.indexOf(String(value)) : -1;
+}
+
+/**
+ * Checks an actual setting value against a policy expectation.
+ * @param {string} key
+ * @param {*} actual
+ * @param {string} expected - A single value, or a comma-separated list for "one of".
+ * @param {string} [mode=DEFAULT_COMPARISON_MODE]
+ * @returns {boolean}
+ */
+function isSettingCompliant(key, actual, expected, mode = DEFAULT_COMPARISON_MODE) {
+    const values = parseExpectedValues(expected);
+
+    switch (mode) {
+        case COMPARISON_MODES.ONE_OF:
+            return values.includes(String(actual));
+        case COMPARISON_MODES.AT_MOST: {
+            const actualRank = getPermissivenessRank(key, actual);
+            const expectedRank = getPermissivenessRank(key, values[0]);
+            if (actualRank === -1 || expectedRank === -1) return String(actual) === values[0];
+            return actualRank <= expectedRank;
+        }
+        default:
+            return String(actual) === values[0];
+    }
+}
+
+/**
+ * Picks the value remediation should set for a non-compliant setting.
+ * Remediation only ever tightens: returns null when no allowed value is more restrictive than `actual`.
+ * For "one of", the least restrictive acceptable value that still tightens is chosen.
+ * Membership-derived keys are never remediated (fixing them means removing members, not a PATCH).
+ *
+ * @returns {string|null}
+ */
+function getRemediationValue(key, actual, expected, mode = DEFAULT_COMPARISON_MODE) {
+    if (MEMBERSHIP_POLICY_SCHEMA[key]) return null;
+
+    const candidates = mode === COMPARISON_MODES.ONE_OF
+        ? parseExpectedValues(expected)
+        : parseExpectedValues(expected).slice(0, 1);
+
+    const tightening = candidates
+        .filter(v => isTighteningChange(key, actual, v))
+        .sort((a, b) => getPermissivenessRank(key, b) - getPermissivenessRank(key, a));
+
+    return tightening[0] ?? null;
+}
+
+/**
+ * True when moving from `fromValue` to `toValue` makes the setting strictly more restrictive.
+ * Unknown values are never considered tightening.
+ */
+function isTighteningChange(key, fromValue, toValue) {
+    const fromRank = getPermissivenessRank(key, fromValue);
+    const toRank = getPermissivenessRank(key, toValue);
+    return fromRank !== -1 && toRank !== -1 && toRank < fromRank;
+}
+
+// ===========================
+// 🚦 Severity & Risk Scoring
+// ===========================
+
+/**
+ * Returns the severity of a key under a profile: POLICY sheet override, then POLICY_KEY_SEVERITY, then DEFAULT_SEVERITY.
+ * @param {string} profileName
+ * @param {string} key
+ * @returns {string} One of the SEVERITY_WEIGHTS keys.
+ */
+function getPolicySeverity(profileName, key) {
+    const override = activePolicySeverities?.[profileName]?.[key];
+    return override || POLICY_KEY_SEVERITY[key] || DEFAULT_SEVERITY;
+}
+
+/**
+ * Sums severity weights of a group's open (non-waived) violations.
+ * @param {Array<{severity: string, waived?: boolean}>} violations
+ * @returns {number}
+ */
+function calculateRiskScore(violations) {
+    return violations
+        .filter(v => !v.waived)
+        .reduce((score, v) => score + (SEVERITY_WEIGHTS[v.severity] || SEVERITY_WEIGHTS[DEFAULT_SEVERITY]), 0);
+}
+
+/**
+ * Returns the highest severity among open violations, or '' when there are none.
+ * @param {Array<{severity: string, waived?: boolean}>} violations
+ * @returns {string}
+ */
+function getHighestSeverity(violations) {
+    return violations
+        .filter(v => !v.waived)
+        .map(v => v.severity)
+        .reduce((highest, s) => (SEVERITY_WEIGHTS[s] || 0) > (SEVERITY_WEIGHTS[highest] || 0) ? s : highest, '');
+}
+
+// ===========================
+// 🎫 Waivers — Approved Exceptions with Expiry
+// ===========================
+
+/**
+ * Loads non-expired waivers from the WAIVERS sheet.
+ * A waiver covers a single group/key pair (the group given by primary email or alias) and only while the group's actual value equals the approved value.
+ * Expired waivers are skipped (and reported) so the violation resurfaces automatically.
+ *
+ * @param {Date} [now=new Date()]
+ * @returns {Object<string, Object>} `${email}|${key}` → waiver
+ */
+function loadActiveWaivers(now = new Date()) {
+    const headers = HEADERS[SHEET_NAMES.WAIVERS];
+    const sheet = getOrCreateSheet(SHEET_NAMES.WAIVERS, headers);
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) return {};
+
+    const col = name => headers.indexOf(name);
+    const values = sheet.getRange(2, 1, lastRow - 1, headers.length).getValues();
+    const waivers = {};
+
+    values.forEach((row, i) => {
+        const rowNumber = i + 2;
+        // Waivers may name a group by alias; violations always carry the primary email
+        const email = resolveGroupEmail(row[col('Email')]);
+        const key = String(row[col('Key')]).trim();
+        if (!email && !key) return;
+
+        const expires = parseWaiverExpiry(row[col('Expires')]);
+        if (!email || !key || !expires) {
+            errorLog(`❌ WAIVERS sheet: Row ${rowNumber} needs an email, key and valid expiry date — ignored.`);
+            return;
+        }
+
+        if (expires.getTime() < now.getTime()) {
+            warnLog(`Waiver expired for ${email} / ${key} (${expires.toISOString().slice(0, 10)}) — violation will be reported again.`);
+            return;
+        }
+
+        waivers[waiverKey(email, key)] = {
+            email,
+            key,
+            approvedValue: String(row[col('Approved Value')]).trim(),
+            justification: row[col('Justification')],
+            approver: row[col('Approver')],
+            expires: expires.toISOString()
+        };
+    });
+
+    debugLog(`🎫 Loaded ${Object.keys(waivers).length} active waiver(s)`);
+    return waivers;
+}
+
+/**
+ * Returns the active waiver covering a violation, if any.
+ * @param {Object<string, Object>} waivers - Output of loadActiveWaivers().
+ * @param {string} email
+ * @param {string} key
+ * @param {string} actualValue
+ * @returns {Object|null}
+ */
+function findWaiver(waivers, email, key, actualValue) {
+    const waiver = waivers[waiverKey(email, key)];
+    if (!waiver) return null;
+    return waiver.approvedValue === String(actualValue) ? waiver : null;
+}
+
+function waiverKey(email, key) {
+    return `${String(email).toLowerCase()}|${key}`;
+}
+
+/**
+ * Parses a WAIVERS expiry cell; the waiver stays valid through the end of that day.
+ * @param {Date|string} value
+ * @returns {Date|null}
+ */
+function parseWaiverExpiry(value) {
+    if (!value) return null;
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    if (isNaN(date.getTime())) return null;
+    date.setHours(23, 59, 59, 999);
+    return date;
+}
@@ -0,0 +1,184 @@
+// ===========================
+// ➕ PROVISIONING MODULE — Creating Compliant Groups from GROUP REQUESTS
+// ===========================
+
+/**
+ * Reads the ticked, not yet provisioned GROUP REQUESTS rows and validates them.
+ * A row needs an email on one of the customer's domains, a name, a known profile (blank resolves it
+ * from POLICY_PROFILE_RULES), at least one owner and — when NAMING_POLICY.enforceOnProvisioning is set —
+ * a name that passes lintGroupName.
+ *
+ * @returns {{requests: Object[], errors: Array<{row: number, error: string}>}}
+ */
+function loadGroupRequests() {
+    const headers = HEADERS[SHEET_NAMES.GROUP_REQUESTS];
+    const sheet = getOrCreateSheet(SHEET_NAMES.GROUP_REQUESTS, headers);
+    if (sheet.getLastRow() <= 1) return { requests: [], errors: [] };
+
+    const storedDomains = loadCustomerDomains().map(d => d.domainName);
+    const domains = storedDomains.length > 0 ? storedDomains : [getWorkspaceDomain().toLowerCase()];
+    const profiles = getPolicyProfiles();
+    const col = name => headers.indexOf(name);
+    const requests = [];
+    const errors = [];
+
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues().forEach((row, i) => {
+        if (row[col('Provision')] !== true || row[col('Status')]) return;
+
+        const email = String(row[col('Email')]).trim().toLowerCase();
+        const name = String(row[col('Name')]).trim();
+        const profile = String(row[col('Profile')]).trim();
+        const owners = String(row[col('Owners')]).split(',').map(o => o.trim().toLowerCase()).filter(Boolean);
+
+        let error = null;
+        if (!email.includes('@') || !name) error = 'needs an email and a name';
+        else if (!domains.includes(getEmailDomain(email))) error = `${getEmailDomain(email)} is not one of this customer's domains (${domains.join(', ')})`;
+        else if (profile && !profiles[profile]) error = `unknown profile "${profile}" (known: ${Object.keys(profiles).join(', ')})`;
+        else if (owners.length === 0 || owners.some(o => !o.includes('@'))) error = 'needs at least one valid owner email';
+        else if (NAMING_POLICY.enforceOnProvisioning) {
+            const naming = lintGroupName({ email, name, description: row[col('Description')] });
+            if (naming.length > 0) error = `breaks naming rules: ${naming.map(f => `${f.problem} (${f.suggestion})`).join('; ')}`;
+        }
+
+        if (error) {
+            errorLog(`❌ ${SHEET_NAMES.GROUP_REQUESTS} row ${i + 2}: ${error} — skipped.`);
+            errors.push({ row: i + 2, error });
+            return;
+        }
+
+        requests.push({
+            row: i + 2,
+            email,
+            name,
+            description: String(row[col('Description')]).trim(),
+            profile: profile || resolvePolicyProfile({ email, name }).name,
+            owners
+        });
+    });
+
+    return { requests, errors };
+}
+
+/**
+ * The Settings API payload that makes a new group compliant with a profile: every Groups Settings
+ * key the profile sets, at its expected value (the first listed value for "one of" rules).
+ * Membership-derived keys are skipped — a new group has only the owners added here.
+ *
+ * @param {string} profileName
+ * @returns {Object<string, string>}
+ */
+function buildProvisioningSettings(profileName) {
+    const { settings } = getPolicyProfile(profileName);
+    const payload = {};
+
+    Object.entries(settings)
+        .filter(([key]) => GROUP_SETTINGS_SCHEMA[key])
+        .forEach(([key, expected]) => {
+            const value = parseExpectedValues(expected)[0];
+            if (value !== undefined) payload[key] = value;
+        });
+
+    return payload;
+}
+
+/**
+ * Creates each ticked GROUP REQUESTS group, applies its profile's settings, adds its owners and
+ * records the outcome (and the group's new ETag) on the row and in the GroupProvisioningLog.
+ * A profile POLICY_PROFILE_RULES would not pick is pinned to the group with assignPolicyProfile.
+ * A group whose settings or owners could not all be applied is marked Partial, not rolled back.
+ *
+ * @param {{dryRun?: boolean}} [options]
+ * @returns {Object[]} One result per request.
+ */
+function provisionGroupRequests(options = {}) {
+    const { dryRun = false } = options;
+    loadPolicySheet();
+
+    const { requests } = loadGroupRequests();
+    const actor = getActiveUserEmail() || 'unknown';
+    const results = [];
+
+    requests.forEach((request, i) => {
+        const settings = buildProvisioningSettings(request.profile);
+        if (dryRun) {
+            debugLog(`🧪 Dry run: would create ${request.email} (${request.profile}) with ${Object.keys(settings).length} setting(s) and owners ${request.owners.join(', ')}`);
+            results.push({ ...request, status: 'DRY RUN', details: JSON.stringify(settings) });
+            return;
+        }
+
+        debugLog(`🚀 [${i + 1}/${requests.length}] Provisioning ${request.email}`);
+        results.push({ ...provisionGroup(request, settings), provisionedBy: actor, provisionedAt: new Date().toISOString() });
+    });
+
+    if (!dryRun) {
+        markGroupRequests(results);
+        results.forEach(r => logEventToSheet("GroupProvisioningLog", r.email, r.status, r.etag || '', r.details));
+    }
+    infoLog(`➕ Provisioned ${results.filter(r => r.status === '✅ Provisioned').length} of ${requests.length} requested group(s)`);
+    return results;
+}
+
+function provisionGroup(request, settings) {
+    const { email, name, description, profile, owners } = request;
+    const problems = [];
+
+    try {
+        const created = createGroup(email, name, description);
+        if (created.getResponseCode() !== 200) {
+            const error = created.getResponseCode() === 409 ? 'group already exists' : created.getContentText().slice(0, 300);
+            errorLog(`❌ Failed to create ${email}`, error);
+            return { ...request, status: '❌ Failed', details: error };
+        }
+
+        // Compliance checks must use the profile the group was built with, whatever the rules say
+        if (resolvePolicyProfile({ email, name }).name !== profile) assignPolicyProfile(email, profile);
+
+        let patched = null;
+        for (let attempt = 1; attempt <= GROUP_PROVISIONING.settingsAttempts; attempt++) {
+            patched = patchGroupSettings(email, settings);
+            if (patched.getResponseCode() === 200) break;
+            if (attempt < GROUP_PROVISIONING.settingsAttempts) Utilities.sleep(GROUP_PROVISIONING.retryDelayMs);
+        }
+        if (patched.getResponseCode() !== 200) {
+            problems.push(`settings not applied: ${patched.getContentText().slice(0, 200)}`);
+        }
+
+        owners.forEach(owner => {
+            const added = insertGroupMember(email, owner, 'OWNER');
+            if (added.getResponseCode() !== 200) problems.push(`owner ${owner} not added: ${added.getContentText().slice(0, 200)}`);
+        });
+
+        // The group's ETag changed with every member added, so read it back last
+        const group = fetchSingleGroupData(email);
+        const etag = group?.data?.etag || '';
+        if (etag) setGroupETag(email, etag);
+
+        problems.forEach(p => warnLog(`⚠️ ${email}: ${p}`));
+        return {
+            ...request,
+            status: problems.length === 0 ? '✅ Provisioned' : '⚠️ Partial',
+            etag,
+            details: problems.length === 0 ? `${Object.keys(settings).length} setting(s) applied, ${owners.length} owner(s) added` : problems.join('; ')
+        };
+    } catch (err) {
+        errorLog(`❌ Exception while provisioning ${email}`, err.toString());
+        return { ...request, status: '❌ Failed', details: [...problems, err.toString()].join('; ') };
+    }
+}
+
+function markGroupRequests(results) {
+    if (results.length === 0) return;
+
+    const headers = HEADERS[SHEET_NAMES.GROUP_REQUESTS];
+    const sheet = getOrCreateSheet(SHEET_NAMES.GROUP_REQUESTS, headers);
+    const startCol = headers.indexOf('Status') + 1;
+
+    results.forEach(r => sheet.getRange(r.row, startCol, 1, 5).setValues([[
+        r.status,
+        r.etag || '',
+        r.provisionedBy || '',
+        r.provisionedAt || '',
+        r.details || ''
+    ]]));
+    debugLog(`📝 Updated ${results.length} row(s) in ${SHEET_NAMES.GROUP_REQUESTS}`);
+}
@@ -0,0 +1,224 @@
+// ===========================
+// 🩹 REMEDIATION MODULE — Applying, Scheduling & Reverting Settings Updates
+// ===========================
+
+/**
+ * PATCHes each group with its update payload and returns one result per group.
+ * The full settings before and after each successful PATCH are stored in SETTINGS SNAPSHOTS
+ * under one batch ID so the batch (or a single group) can be reverted later.
+ * With `dryRun`, nothing is sent or stored and every group is reported as "DRY RUN".
+ *
+ * @param {Object<string, Object>} updates - email → { key: value }
+ * @param {{dryRun?: boolean, source?: string, batchId?: string}} [options]
+ * @returns {Array<{email: string, status: (number|string), keys: string[], success: boolean, error?: string, source: string, batchId: string}>}
+ */
+function applySettingsUpdates(updates, options = {}) {
+    const { dryRun = false, source = 'Manual', batchId = generateBatchId() } = options;
+    const entries = Object.entries(updates);
+    const results = [];
+    const snapshots = [];
+
+    debugLog(`📦 Preparing to update ${entries.length} group(s) in batch ${batchId}${dryRun ? ' (dry run)' : ''}`);
+    entries.forEach(([email, updatePayload], i) => {
+        const keys = Object.keys(updatePayload);
+
+        if (dryRun) {
+            debugLog(`🧪 [${i + 1}] Dry run for ${email}: ${JSON.stringify(updatePayload)}`);
+            results.push({ email, status: 'DRY RUN', keys, success: true, source, batchId });
+            return;
+        }
+
+        try {
+            debugLog(`🚀 [${i + 1}/${entries.length}] Updating ${email}`);
+
+            // No snapshot, no update — otherwise the change could not be rolled back
+            const before = fetchCurrentGroupSettings(email);
+            if (!before) {
+                results.push({ email, keys, success: false, error: 'Could not capture current settings', source, batchId });
+                return;
+            }
+
+            const response = patchGroupSettings(email, updatePayload);
+
+            const status = response.getResponseCode();
+            const content = response.getContentText();
+
+            if (status >= 200 && status < 300) {
+                debugLog(`✅ [${i + 1}] Updated ${email}: ${keys.join(', ')}`);
+                results.push({ email, status, keys, success: true, source, batchId });
+                snapshots.push({ batchId, timestamp: new Date().toISOString(), email, source, keys, before, after: JSON.parse(content) });
+            } else {
+                errorLog(`❌ [${i + 1}] Failed to update ${email}: ${content}`);
+                results.push({ email, status, keys, success: false, error: content, source, batchId });
+            }
+
+        } catch (err) {
+            errorLog(`❌ [${i + 1}] Exception while updating ${email}`, err.toString());
+            results.push({ email, keys, success: false, error: err.toString(), source, batchId });
+        }
+    });
+
+    appendSettingsSnapshots(snapshots);
+    return results;
+}
+
+/**
+ * Builds the unattended remediation plan: open, tightening violations on allowlisted keys,
+ * grouped per email and ordered by risk (highest first).
+ *
+ * @param {Array<Object>} violations - Output of filterGroupSettings().
+ * @param {{allowedKeys: string[]}} [config=AUTO_REMEDIATION]
+ * @returns {Array<{email: string, updates: Object, riskScore: number}>}
+ */
+function planAutoRemediation(violations, config = AUTO_REMEDIATION) {
+    const byEmail = {};
+
+    violations
+        .filter(v => !v.waived && v.target && config.allowedKeys.includes(v.key))
+        .filter(v => isTighteningChange(v.key, v.actual, v.target))
+        .forEach(v => {
+            if (!byEmail[v.email]) byEmail[v.email] = [];
+            byEmail[v.email].push(v);
+        });
+
+    return Object.entries(byEmail)
+        .map(([email, list]) => ({
+            email,
+            updates: list.reduce((payload, v) => ({ ...payload, [v.key]: v.target }), {}),
+            riskScore: calculateRiskScore(list)
+        }))
+        .sort((a, b) => b.riskScore - a.riskScore || a.email.localeCompare(b.email));
+}
+
+/**
+ * Returns the groups (lowercased emails) a human changed within the last `hours` — in the Admin
+ * console or, as an owner or manager, in Google Groups itself.
+ * Audit events from the script's own account and AUTO_REMEDIATION.automationActors are ignored.
+ *
+ * @param {string[]} emails
+ * @param {number} hours
+ * @returns {Set<string>|null} null if the audit log could not be read, so the cooldown cannot be checked.
+ */
+function findRecentHumanChanges(emails, hours) {
+    if (emails.length === 0 || !hours) return new Set();
+
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    const automation = new Set(
+        [Session.getEffectiveUser().getEmail(), ...AUTO_REMEDIATION.automationActors]
+            .filter(Boolean)
+            .map(e => e.toLowerCase())
+    );
+
+    const changesByGroup = fetchGroupAuditEvents(since, emails, { includeGroupsApp: true });
+    if (!changesByGroup) return null;
+
+    const recent = new Set();
+    Object.entries(changesByGroup).forEach(([email, changes]) => {
+        if (changes.some(c => !automation.has(String(c.actor).toLowerCase()))) recent.add(email);
+    });
+    return recent;
+}
+
+/**
+ * Installs the time-based trigger for runScheduledRemediation (replacing any existing one).
+ */
+function installRemediationTrigger() {
+    ScriptApp.getProjectTriggers()
+        .filter(t => t.getHandlerFunction() === 'runScheduledRemediation')
+        .forEach(t => ScriptApp.deleteTrigger(t));
+
+    ScriptApp.newTrigger('runScheduledRemediation')
+        .timeBased()
+        .everyHours(AUTO_REMEDIATION.triggerEveryHours)
+        .create();
+
+    infoLog(`⏰ Scheduled remediation trigger installed (every ${AUTO_REMEDIATION.triggerEveryHours}h)`);
+}
+
+// ===========================
+// ↩️ Rollback
+// ===========================
+
+/**
+ * Restores the pre-update values of every group in a batch.
+ *
+ * @param {string} batchId - Batch ID from SETTINGS UPDATE LOG.
+ * @param {{onConflict?: function(string, string[]): boolean}} [options] - Called for groups that changed
+ *   again after the batch; return true to revert anyway. By default conflicting groups are skipped.
+ * @returns {Array<Object>} Update results of the revert batch.
+ */
+function revertSettingsBatch(batchId, options = {}) {
+    const snapshots = loadSettingsSnapshots({ batchId }).filter(s => !s.revertedAt);
+    if (snapshots.length === 0) {
+        warnLog(`⚠️ Nothing to revert for batch ${batchId} (unknown or already reverted).`);
+        return [];
+    }
+    return revertSnapshots(snapshots, { ...options, source: `Revert ${batchId}` });
+}
+
+/**
+ * Restores one group to its values before the given batch, or before its most recent un-reverted batch.
+ */
+function revertGroupSettings(email, batchId = null, options = {}) {
+    const snapshot = loadSettingsSnapshots({ email, batchId }).find(s => !s.revertedAt);
+    if (!snapshot) {
+        warnLog(`⚠️ Nothing to revert for ${email}${batchId ? ` in batch ${batchId}` : ''}.`);
+        return [];
+    }
+    return revertSnapshots([snapshot], { ...options, source: `Revert ${snapshot.batchId}` });
+}
+
+function revertSnapshots(snapshots, options = {}) {
+    const { onConflict = () => false, source } = options;
+    const batchId = generateBatchId();
+    const updates = {};
+    const reverted = [];
+    const skipped = [];
+
+    snapshots.forEach(snapshot => {
+        const current = fetchCurrentGroupSettings(snapshot.email);
+        if (!current) {
+            skipped.push({ email: snapshot.email, keys: snapshot.keys, skipped: true, success: false, status: 'Could not fetch current settings', source, batchId });
+            return;
+        }
+
+        const { payload, conflicts } = buildRevertPlan(snapshot, current);
+        if (conflicts.length > 0) {
+            warnLog(`⚠️ ${snapshot.email} changed since batch ${snapshot.batchId}: ${conflicts.join(', ')}`);
+            if (!onConflict(snapshot.email, conflicts)) {
+                skipped.push({ email: snapshot.email, keys: snapshot.keys, skipped: true, success: false, status: `Changed since batch: ${conflicts.join(', ')}`, source, batchId });
+                return;
+            }
+        }
+
+        updates[snapshot.email] = payload;
+        reverted.push(snapshot);
+    });
+
+    const results = applySettingsUpdates(updates, { source, batchId });
+    const succeeded = new Set(results.filter(r => r.success).map(r => r.email));
+    markSnapshotsReverted(reverted.filter(s => succeeded.has(s.email)), batchId);
+
+    const all = results.concat(skipped);
+    logUpdateResults(all);
+    infoLog(`↩️ ${source}: ${succeeded.size} group(s) restored, ${all.length - succeeded.size} not restored (batch ${batchId})`);
+    return all;
+}
+
+/**
+ * Works out how to undo one snapshot: the payload restores the updated keys to their `before`
+ * values, and `conflicts` lists every setting (etag excluded) whose current value no longer
+ * matches the snapshot's `after` state.
+ *
+ * @returns {{payload: Object, conflicts: string[]}}
+ */
+function buildRevertPlan(snapshot, current) {
+    const payload = {};
+    snapshot.keys.forEach(key => payload[key] = snapshot.before[key]);
+
+    const keys = new Set([...Object.keys(snapshot.after), ...Object.keys(current)]);
+    keys.delete('etag');
+    const conflicts = [...keys].filter(key => JSON.stringify(current[key]) !== JSON.stringify(snapshot.after[key]));
+
+    return { payload, conflicts };
+}
@@ -0,0 +1,157 @@
+// ===========================
+// 🕵️ REPORTS MODULE — Admin Audit Attribution (AdminDirectoryReports)
+// ===========================
+
+/**
+ * Looks up who changed the given groups since LAST_GROUP_SYNC and records each change in the ACTIVITY LOG.
+ * Audit events can lag by a few hours, so very recent changes may not be attributed yet.
+ *
+ * @param {string[]} groupEmails - Groups whose business hash changed.
+ * @returns {Object<string, Object[]>} email → changes (newest first)
+ */
+function attributeSettingsDrift(groupEmails) {
+    if (!Array.isArray(groupEmails) || groupEmails.length === 0) return {};
+
+    const since = getAuditStartTime();
+    const changesByGroup = fetchGroupAuditEvents(since, groupEmails);
+    if (!changesByGroup) {
+        warnLog(`⚠️ Audit events unavailable — drift in ${groupEmails.length} group(s) not attributed this run.`);
+        return {};
+    }
+    const changes = Object.values(changesByGroup).reduce((all, list) => all.concat(list), []);
+
+    recordGroupSettingChanges(changes);
+
+    const unattributed = groupEmails.filter(email => !changesByGroup[email.toLowerCase()]);
+    if (unattributed.length > 0) {
+        debugLog(`🕵️ No audit events since ${since} for ${unattributed.length} drifted group(s): ${unattributed.slice(0, 5).join(', ')}${unattributed.length > 5 ? '...' : ''}`);
+    }
+
+    return changesByGroup;
+}
+
+/**
+ * Fetches admin audit events for group changes and keeps those touching the given groups.
+ * With `includeGroupsApp`, setting changes owners and managers made in Google Groups
+ * (GROUPS_APP_SETTING_EVENT_NAMES) are included as well.
+ *
+ * @param {string} startTime - RFC 3339 timestamp.
+ * @param {string[]} [groupEmails] - Restrict results to these groups (all groups when omitted).
+ * @param {{includeGroupsApp?: boolean}} [options]
+ * @returns {Object<string, Array<{email: string, actor: string, time: string, event: string, setting: string, oldValue: string, newValue: string}>>|null}
+ *   null if any Reports API call failed — callers must not read a failed fetch as "no changes".
+ */
+function fetchGroupAuditEvents(startTime, groupEmails = null, options = {}) {
+    const wanted = groupEmails ? new Set(groupEmails.map(e => e.toLowerCase())) : null;
+    const changesByGroup = {};
+
+    const sources = [['admin', GROUP_AUDIT_EVENT_NAMES]];
+    if (options.includeGroupsApp) sources.push(['groups', GROUPS_APP_SETTING_EVENT_NAMES]);
+
+    for (const [application, eventNames] of sources) {
+        for (const eventName of eventNames) {
+            let pageToken = null;
+            do {
+                let page;
+                try {
+                    page = AdminDirectoryReports.Activities.list('all', application, {
+                        eventName,
+                        startTime,
+                        maxResults: 1000,
+                        pageToken
+                    });
+                } catch (e) {
+                    errorLog(`❌ Failed to fetch ${application} ${eventName} audit events`, e.toString());
+                    return null;
+                }
+
+                (page.items || []).forEach(activity => {
+                    (activity.events || []).forEach(event => {
+                        const change = parseGroupAuditEvent(activity, event);
+                        if (!change.email || (wanted && !wanted.has(change.email))) return;
+                        if (!changesByGroup[change.email]) changesByGroup[change.email] = [];
+                        changesByGroup[change.email].push(change);
+                    });
+                });
+
+                pageToken = page.nextPageToken;
+            } while (pageToken);
+        }
+    }
+
+    Object.values(changesByGroup).forEach(list => list.sort((a, b) => b.time.localeCompare(a.time)));
+    debugLog(`🕵️ Found audit events for ${Object.keys(changesByGroup).length} group(s) since ${startTime}`);
+    return changesByGroup;
+}
+
+function parseGroupAuditEvent(activity, event) {
+    // Admin events name parameters GROUP_EMAIL, Groups events group_email
+    const params = {};
+    (event.parameters || []).forEach(p => params[String(p.name).toUpperCase()] = p.value ?? p.multiValue?.join(', ') ?? '');
+
+    return {
+        email: (params.GROUP_EMAIL || '').toLowerCase(),
+        actor: activity.actor?.email || activity.actor?.profileId || 'unknown',
+        time: activity.id?.time || '',
+        event: event.name,
+        setting: params.SETTING_NAME || event.name,
+        oldValue: params.OLD_VALUE ?? '',
+        newValue: params.NEW_VALUE ?? ''
+    };
+}
+
+/**
+ * Returns the newest audit change for a group's settings key, if any.
+ * Audit SETTING_NAME values (e.g. WHO_CAN_JOIN) are compared ignoring case and underscores.
+ */
+function findSettingChange(changesByGroup, email, key) {
+    const normalize = name => String(name).replace(/_/g, '').toLowerCase();
+    const changes = changesByGroup[String(email).toLowerCase()] || [];
+    return changes.find(c => normalize(c.setting) === normalize(key)) || null;
+}
+
+function getAuditStartTime() {
+    const lastSync = PropertiesService.getScriptProperties().getProperty("LAST_GROUP_SYNC");
+    if (lastSync) return lastSync;
+    return new Date(Date.now() - AUDIT_LOOKBACK_HOURS * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Finds the newest event per group in the Reports API "groups" application
+ * (posts, joins, member and settings changes made through Google Groups).
+ *
+ * @param {string} startTime - RFC 3339 timestamp.
+ * @returns {Object<string, string>|null} email → newest event time, or null if the fetch failed.
+ */
+function fetchGroupActivityTimes(startTime) {
+    const latest = {};
+    let pageToken = null;
+
+    do {
+        let page;
+        try {
+            page = AdminDirectoryReports.Activities.list('all', 'groups', {
+                startTime,
+                maxResults: 1000,
+                pageToken
+            });
+        } catch (e) {
+            errorLog("❌ Failed to fetch Groups activity", e.toString());
+            return null;
+        }
+
+        (page.items || []).forEach(activity => {
+            const time = activity.id?.time || '';
+            (activity.events || []).forEach(event => {
+                const param = (event.parameters || []).find(p => String(p.name).toLowerCase() === 'group_email');
+                const email = String(param?.value || '').toLowerCase();
+                if (email && time > (latest[email] || '')) latest[email] = time;
+            });
+        });
+
+        pageToken = page.nextPageToken;
+    } while (pageToken);
+
+    debugLog(`🕵️ Found Groups activity for ${Object.keys(latest).length} group(s) since ${startTime}`);
+    return latest;
+}
@@ -124,24 +124,34 @@ function initializeAllSheets() {
     Object.entries(SHEET_CONFIG).forEach(([name, headers]) => {
         getOrCreateSheet(name, headers);
     });
+    seedPolicySheet();
 }
 
 // ===========================
 // 📋 WRITER FUNCTIONS
 // ===========================
 
+/**
+ * Maps a normalized group onto GROUP LIST columns (header "Direct Members Count" → `directMembersCount`).
+ * Alias lists are written comma-separated.
+ */
+function groupToListRow(group, headers, now) {
+    return headers.map(header => {
+        if (header === 'Last Modified') return now;
+        if (header === 'Domain') return getEmailDomain(group.email);
+        if (header === 'Pending Changes') return group.pendingChanges || '';
+        const key = header.toLowerCase().replace(/\s(.)/g, (_, c) => c.toUpperCase());
+        if (Array.isArray(group[key])) return group[key].join(', ');
+        return group[key] !== undefined ? group[key] : (key === 'directMembersCount' ? 0 : 'Not Found');
+    });
+}
+
 function writeGroupListToSheet(groupData) {
     const headers = HEADERS[SHEET_NAMES.GROUP_LIST];
     const sheet = getOrCreateSheet(SHEET_NAMES.GROUP_LIST, headers);
 
     const now = new Date().toISOString();
-    const rows = groupData.map(group =>
-        headers.map(header => {
-            if (header === 'Last Modified') return now;
-            const key = header.toLowerCase().replace(/\s(.)/g, (_, c) => c.toUpperCase());
-            return group[key] !== undefined ? group[key] : (key === 'directMembersCount' ? 0 : 'Not Found');
-        })
-    );
+    const rows = groupData.map(group => groupToListRow(group, headers, now));
 
     // // Clear old content
     // if (sheet.getLastRow() > 1) {
@@ -160,6 +170,96 @@ function writeGroupListToSheet(groupData) {
     formatSheet(sheet, headers);
 }
 
+/**
+ * Rewrites GROUP MEMBERS with fresh rows for `changed` groups, keeping the existing rows of every
+ * other group still in `groupEmails` (groups no longer listed are dropped).
+ *
+ * @param {Array<{email: string, members: Object[]}>} changed - Groups whose membership changed.
+ * @param {string[]} groupEmails - All groups currently in scope.
+ */
+function writeGroupMembersSheet(changed, groupEmails) {
+    const headers = HEADERS[SHEET_NAMES.GROUP_MEMBERS];
+    const sheet = getOrCreateSheet(SHEET_NAMES.GROUP_MEMBERS, headers);
+
+    const now = new Date().toISOString();
+    const changedEmails = new Set(changed.map(r => r.email));
+    const inScope = new Set(groupEmails);
+    const previousRows = sheet.getLastRow() > 1
+        ? sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues()
+        : [];
+
+    const keptRows = previousRows.filter(row => inScope.has(row[0]) && !changedEmails.has(row[0]));
+    const newRows = changed.reduce((rows, { members }) => rows.concat(members.map(m => [
+        m.groupEmail,
+        m.email,
+        m.role,
+        m.type,
+        m.status,
+        m.deliverySettings,
+        m.id,
+        now
+    ])), []);
+
+    const rows = keptRows.concat(newRows).sort((a, b) => String(a[0]).localeCompare(b[0]) || String(a[1]).localeCompare(b[1]));
+
+    if (previousRows.length > 0) {
+        sheet.getRange(2, 1, previousRows.length, headers.length).clearContent();
+    }
+    if (rows.length > 0) {
+        sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    }
+    debugLog(`✅ Wrote ${rows.length} member rows to "${SHEET_NAMES.GROUP_MEMBERS}" (${newRows.length} refreshed)`);
+
+    formatSheet(sheet, headers);
+}
+
+function writeGroupNestingReport(expansions) {
+    const headers = HEADERS[SHEET_NAMES.GROUP_NESTING];
+    const sheet = getOrCreateSheet(SHEET_NAMES.GROUP_NESTING, headers);
+
+    if (sheet.getLastRow() > 1) {
+        sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).clearContent();
+    }
+
+    const now = new Date().toISOString();
+    const rows = expansions.map(e => [
+        e.email,
+        getEmailDomain(e.email),
+        e.directMembers,
+        e.nestedGroups.length,
+        e.effectiveMembers.length,
+        e.depth,
+        e.cycle ? e.cycle.join(' → ') : '',
+        e.unresolved.join(', '),
+        now
+    ]);
+
+    if (rows.length > 0) {
+        sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    }
+    debugLog(`✅ Wrote ${rows.length} rows to "${SHEET_NAMES.GROUP_NESTING}"`);
+    formatSheet(sheet, headers);
+}
+
+/**
+ * Reads GROUP MEMBERS back into normalized members keyed by group email.
+ * @returns {Object<string, Object[]>}
+ */
+function readGroupMembersFromSheet() {
+    const headers = HEADERS[SHEET_NAMES.GROUP_MEMBERS];
+    const sheet = getOrCreateSheet(SHEET_NAMES.GROUP_MEMBERS, headers);
+    if (sheet.getLastRow() <= 1) return {};
+
+    const byGroup = {};
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues().forEach(row => {
+        const [groupEmail, email, role, type, status, deliverySettings, id] = row;
+        if (!groupEmail) return;
+        if (!byGroup[groupEmail]) byGroup[groupEmail] = [];
+        byGroup[groupEmail].push({ groupEmail, email, role, type, status, deliverySettings, id });
+    });
+    return byGroup;
+}
+
 function writeDetailReport(violations) {
 
     const headers = [...HEADERS[SHEET_NAMES.DETAIL_REPORT], 'Compliant'];
@@ -185,34 +285,49 @@ function writeDetailReport(violations) {
     const now = new Date().toISOString();
     const rows = violations.map(v => [
         v.email,
+        getEmailDomain(v.email),
+        v.profile ?? DEFAULT_POLICY_PROFILE,
         v.key,
+        v.severity ?? DEFAULT_SEVERITY,
+        v.mode ?? DEFAULT_COMPARISON_MODE,
         v.expected,
         v.actual ?? 'Not Found',
+        v.target ?? '',
+        v.changedBy ?? '',
+        v.changedAt ?? '',
+        v.change ?? '',
         v.hash ?? 'Not Found',
         now,
-        v.actual === v.expected ? '✅' : '❌'
+        false,
+        v.waived ? 'Waived' : (v.actual === v.expected ? '✅' : '❌')
     ]);
 
     sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    sheet.getRange(2, headers.indexOf('Apply') + 1, rows.length).insertCheckboxes();
     debugLog(`✅ Wrote ${rows.length} rows to Detail Report`);
 
     // ✅ Apply formatting after data is written
     formatSheet(sheet, headers);
-    applyConditionalFormatting(); // ← add this line
-    // Return row count by email for summary
+    applyCompliantFormatting();
+    applySeverityFormatting(sheet, headers);
+    // Return row count by email for summary (waived rows are not counted)
     const rowMap = {};
-    violations.forEach(v => {
+    violations.filter(v => !v.waived).forEach(v => {
         rowMap[v.email] = (rowMap[v.email] || 0) + 1;
     });
 
     return rowMap;
 }
 
-function writeSummaryReport(rowMap, keyMap) {
+/**
+ * Writes one row per group with open violations, highest risk first.
+ * @param {Array<Object>} summaryRows - Output of buildViolationSummary().
+ */
+function writeSummaryReport(summaryRows) {
     const headers = HEADERS[SHEET_NAMES.SUMMARY_REPORT];
     const sheet = getOrCreateSheet(SHEET_NAMES.SUMMARY_REPORT, headers);
 
-    if (!rowMap || Object.keys(rowMap).length === 0) {
+    if (!Array.isArray(summaryRows) || summaryRows.length === 0) {
         debugLog("⚠️ No summary rows to write.");
         return;
     }
@@ -228,10 +343,14 @@ function writeSummaryReport(rowMap, keyMap) {
     // }
 
     const now = new Date().toISOString();
-    const rows = Object.entries(rowMap).map(([email, count]) => [
-        email,
-        count,
-        (keyMap[email] || []).join(', '),
+    const rows = summaryRows.map(r => [
+        r.email,
+        getEmailDomain(r.email),
+        r.profile,
+        r.riskScore,
+        r.highestSeverity,
+        r.count,
+        r.keys.join(', '),
         now
     ]);
 
@@ -240,6 +359,113 @@ function writeSummaryReport(rowMap, keyMap) {
 
     // ✅ Apply formatting after data is written
     formatSheet(sheet, headers);
+    applySeverityFormatting(sheet, headers, 'Highest Severity');
+}
+
+function writeExternalMembersReport(findings) {
+    const headers = HEADERS[SHEET_NAMES.EXTERNAL_MEMBERS];
+    const sheet = getOrCreateSheet(SHEET_NAMES.EXTERNAL_MEMBERS, headers);
+
+    if (sheet.getLastRow() > 1) {
+        sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).clearContent();
+    }
+    if (findings.length === 0) {
+        debugLog(`ℹ️ No external members to write to "${SHEET_NAMES.EXTERNAL_MEMBERS}"`);
+        return;
+    }
+
+    const now = new Date().toISOString();
+    const rows = findings.map(f => [
+        f.groupEmail,
+        getEmailDomain(f.groupEmail),
+        f.memberEmail,
+        f.role,
+        f.type,
+        f.profile,
+        f.allowExternalMembers,
+        f.whoCanViewGroup,
+        f.whoCanViewConversations,
+        f.whoCanPostMessage,
+        f.finding,
+        now
+    ]);
+
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    debugLog(`✅ Wrote ${rows.length} rows to "${SHEET_NAMES.EXTERNAL_MEMBERS}"`);
+    formatSheet(sheet, headers);
+}
+
+function writeNamingReport(findings) {
+    const headers = HEADERS[SHEET_NAMES.NAMING_REPORT];
+    const sheet = getOrCreateSheet(SHEET_NAMES.NAMING_REPORT, headers);
+
+    if (sheet.getLastRow() > 1) {
+        sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).clearContent();
+    }
+    if (findings.length === 0) {
+        debugLog(`ℹ️ No naming issues to write to "${SHEET_NAMES.NAMING_REPORT}"`);
+        return;
+    }
+
+    const now = new Date().toISOString();
+    const rows = findings.map(f => [
+        f.email,
+        getEmailDomain(f.email),
+        f.name,
+        f.rule,
+        f.problem,
+        f.suggestion,
+        now
+    ]);
+
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    debugLog(`✅ Wrote ${rows.length} rows to "${SHEET_NAMES.NAMING_REPORT}"`);
+    formatSheet(sheet, headers);
+}
+
+function appendComplianceSnapshot(snapshot) {
+    const headers = HEADERS[SHEET_NAMES.COMPLIANCE_HISTORY];
+    const sheet = getOrCreateSheet(SHEET_NAMES.COMPLIANCE_HISTORY, headers);
+
+    const byKey = Object.entries(snapshot.byKey)
+        .sort((a, b) => b[1] - a[1])
+        .map(([key, count]) => `${key}: ${count}`)
+        .join(', ');
+
+    const row = [
+        snapshot.runTime,
+        snapshot.groupsChecked,
+        snapshot.groupsCompliant,
+        snapshot.openViolations,
+        snapshot.waived,
+        snapshot.bySeverity.critical || 0,
+        snapshot.bySeverity.high || 0,
+        snapshot.bySeverity.medium || 0,
+        snapshot.bySeverity.low || 0,
+        byKey
+    ];
+
+    sheet.getRange(sheet.getLastRow() + 1, 1, 1, headers.length).setValues([row]);
+    debugLog(`📝 Appended compliance snapshot to ${SHEET_NAMES.COMPLIANCE_HISTORY}`);
+}
+
+function appendGroupComplianceEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) return;
+
+    const headers = HEADERS[SHEET_NAMES.GROUP_COMPLIANCE_HISTORY];
+    const sheet = getOrCreateSheet(SHEET_NAMES.GROUP_COMPLIANCE_HISTORY, headers);
+
+    const rows = events.map(e => [
+        e.timestamp,
+        e.email,
+        e.profile || DEFAULT_POLICY_PROFILE,
+        e.event,
+        (e.keys || []).join(', '),
+        e.since
+    ]);
+
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, headers.length).setValues(rows);
+    debugLog(`📝 Logged ${rows.length} compliance transition(s) to ${SHEET_NAMES.GROUP_COMPLIANCE_HISTORY}`);
 }
 
 function writeGroupMetaSheet(metaData) {
@@ -280,15 +506,42 @@ function writeGroupMetaSheet(metaData) {
 
 function generateViolationKeyMap(violations) {
     const map = {};
-    violations.forEach(({email, key}) => {
+    violations.forEach(({email, key, actual}) => {
+        // Membership findings carry their state, e.g. "ownership (NO_OWNER)"
+        const label = MEMBERSHIP_POLICY_SCHEMA[key] ? `${key} (${actual})` : key;
         if (!map[email]) map[email] = [];
-        if (!map[email].includes(key)) {
-            map[email].push(key);
+        if (!map[email].includes(label)) {
+            map[email].push(label);
         }
     });
     return map;
 }
 
+/**
+ * Groups violations by email into summary rows sorted by risk score (descending).
+ * @param {Array<Object>} violations - Open (non-waived) violations.
+ * @returns {Array<{email: string, profile: string, riskScore: number, highestSeverity: string, count: number, keys: string[]}>}
+ */
+function buildViolationSummary(violations) {
+    const keyMap = generateViolationKeyMap(violations);
+    const byEmail = {};
+    violations.forEach(v => {
+        if (!byEmail[v.email]) byEmail[v.email] = [];
+        byEmail[v.email].push(v);
+    });
+
+    return Object.entries(byEmail)
+        .map(([email, list]) => ({
+            email,
+            profile: list[0].profile || DEFAULT_POLICY_PROFILE,
+            riskScore: calculateRiskScore(list),
+            highestSeverity: getHighestSeverity(list),
+            count: list.length,
+            keys: keyMap[email] || []
+        }))
+        .sort((a, b) => b.riskScore - a.riskScore || a.email.localeCompare(b.email));
+}
+
 function resolveGroupEmails() {
     const raw = PropertiesService.getScriptProperties().getProperty("GROUP_EMAILS");
     if (raw) {
@@ -348,6 +601,45 @@ function recordDomainETagChange(domain, oldETag, newETag) {
     debugLog(`📝 Logged domain ETag change for ${domain}`);
 }
 
+function recordGroupSettingChanges(changes) {
+    if (!Array.isArray(changes) || changes.length === 0) return;
+
+    const headers = HEADERS[SHEET_NAMES.ACTIVITY];
+    const sheet = getOrCreateSheet(SHEET_NAMES.ACTIVITY, headers);
+    const rows = changes.map(c => [
+        c.time,
+        'Reports API',
+        'Group Setting',
+        c.email,
+        c.event,
+        c.actor,
+        `${c.setting}: ${c.oldValue || '∅'} → ${c.newValue || '∅'}`
+    ]);
+
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, headers.length).setValues(rows);
+    debugLog(`📝 Logged ${rows.length} attributed group change(s) to ${SHEET_NAMES.ACTIVITY}`);
+}
+
+function recordMembershipChanges(changes) {
+    if (!Array.isArray(changes) || changes.length === 0) return;
+
+    const headers = HEADERS[SHEET_NAMES.ACTIVITY];
+    const sheet = getOrCreateSheet(SHEET_NAMES.ACTIVITY, headers);
+    const now = new Date().toISOString();
+    const rows = changes.map(c => [
+        now,
+        'Directory',
+        'Group Member',
+        c.groupEmail,
+        c.action,
+        c.memberEmail,
+        `${c.memberEmail}: ${c.oldRole || '∅'} → ${c.newRole || '∅'}`
+    ]);
+
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, headers.length).setValues(rows);
+    debugLog(`📝 Logged ${rows.length} membership change(s) to ${SHEET_NAMES.ACTIVITY}`);
+}
+
 function checkSheetsExist() {
     const required = Object.keys(SHEET_CONFIG);
     const existing = SpreadsheetApp.openById(getSheetId()).getSheets().map(s => s.getName());
@@ -404,9 +696,11 @@ function logUpdateResults(results) {
         now,
         r.email,
         r.status || '',
-        r.success ? '✅' : '❌',
+        r.skipped ? '⏭️' : (r.success ? '✅' : '❌'),
         (r.keys || []).join(', '),
-        r.error || ''
+        r.error || '',
+        r.source || 'Manual',
+        r.batchId || ''
     ]);
 
     if (rows.length > 0) {
@@ -415,6 +709,78 @@ function logUpdateResults(results) {
     }
 }
 
+function appendSettingsSnapshots(snapshots) {
+    if (!Array.isArray(snapshots) || snapshots.length === 0) return;
+
+    const headers = HEADERS[SHEET_NAMES.SETTINGS_SNAPSHOTS];
+    const sheet = getOrCreateSheet(SHEET_NAMES.SETTINGS_SNAPSHOTS, headers);
+
+    const rows = snapshots.map(s => [
+        s.batchId,
+        s.timestamp,
+        s.email,
+        s.source,
+        s.keys.join(', '),
+        JSON.stringify(s.before),
+        JSON.stringify(s.after),
+        '',
+        ''
+    ]);
+
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, headers.length).setValues(rows);
+    debugLog(`📝 Stored ${rows.length} settings snapshot(s) for batch ${snapshots[0].batchId}`);
+}
+
+/**
+ * Reads SETTINGS SNAPSHOTS, newest first. `row` is the 1-based sheet row, used by markSnapshotsReverted.
+ *
+ * @param {{batchId?: string, email?: string}} [filter]
+ * @returns {Array<{row: number, batchId: string, timestamp: string, email: string, source: string, keys: string[], before: Object, after: Object, revertedAt: string, revertedBy: string}>}
+ */
+function loadSettingsSnapshots(filter = {}) {
+    const headers = HEADERS[SHEET_NAMES.SETTINGS_SNAPSHOTS];
+    const sheet = getOrCreateSheet(SHEET_NAMES.SETTINGS_SNAPSHOTS, headers);
+    if (sheet.getLastRow() <= 1) return [];
+
+    const col = name => headers.indexOf(name);
+    const email = filter.email ? String(filter.email).toLowerCase() : null;
+
+    return sheet.getRange(2, 1, sheet.getLastRow() - 1, headers.length).getValues()
+        .map((row, i) => {
+            try {
+                return {
+                    row: i + 2,
+                    batchId: String(row[col('Batch ID')]),
+                    timestamp: String(row[col('Timestamp')]),
+                    email: String(row[col('Email')]),
+                    source: row[col('Source')],
+                    keys: String(row[col('Updated Keys')]).split(',').map(k => k.trim()).filter(Boolean),
+                    before: JSON.parse(row[col('Before')]),
+                    after: JSON.parse(row[col('After')]),
+                    revertedAt: row[col('Reverted At')],
+                    revertedBy: row[col('Reverted By Batch')]
+                };
+            } catch (e) {
+                errorLog(`❌ Unreadable snapshot in ${SHEET_NAMES.SETTINGS_SNAPSHOTS} row ${i + 2}`, e.toString());
+                return null;
+            }
+        })
+        .filter(s => s && (!filter.batchId || s.batchId === filter.batchId) && (!email || s.email.toLowerCase() === email))
+        .reverse();
+}
+
+function markSnapshotsReverted(snapshots, revertBatchId) {
+    if (snapshots.length === 0) return;
+
+    const headers = HEADERS[SHEET_NAMES.SETTINGS_SNAPSHOTS];
+    const sheet = getOrCreateSheet(SHEET_NAMES.SETTINGS_SNAPSHOTS, headers);
+    const colIndex = headers.indexOf('Reverted At') + 1;
+    const now = new Date().toISOString();
+
+    snapshots.forEach(s => sheet.getRange(s.row, colIndex, 1, 2).setValues([[now, revertBatchId]]));
+    debugLog(`📝 Marked ${snapshots.length} snapshot(s) as reverted by batch ${revertBatchId}`);
+}
+
 function generateFilteredGroupSheet(sheetName, whitelist = [], blacklist = []) {
     const groups = getStoredData("GROUP_NORMALIZED_DATA");
     if (!Array.isArray(groups) || groups.length === 0) {
@@ -431,13 +797,7 @@ function generateFilteredGroupSheet(sheetName, whitelist = [], blacklist = []) {
     // }
 
     const now = new Date().toISOString();
-    const rows = filtered.map(group =>
-        headers.map(header => {
-            if (header === 'Last Modified') return now;
-            const key = header.toLowerCase().replace(/\s(.)/g, (_, c) => c.toUpperCase());
-            return group[key] !== undefined ? group[key] : (key === 'directMembersCount' ? 0 : 'Not Found');
-        })
-    );
+    const rows = filtered.map(group => groupToListRow(group, headers, now));
 
     sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
     debugLog(`✅ Wrote ${rows.length} filtered groups to "${sheetName}"`);
@@ -466,18 +826,22 @@ function getDiscrepancyRowsFromSheet() {
         return [];
     }
 
-    const rows = sheet.getDataRange().getValues().slice(1); // skip headers
-    return rows.map(([email, key, expected, , , , , apply]) => ({
-        email,
-        key,
-        expected,
-        apply: apply === true
-    })).filter(row => row.email && row.key && row.expected !== undefined && row.apply);
+    const [headerRow, ...rows] = sheet.getDataRange().getValues();
+    const col = name => headerRow.indexOf(name);
+    return rows.map(row => ({
+        email: row[col('Email')],
+        key: row[col('Key')],
+        expected: row[col('Expected')],
+        actual: row[col('Actual')],
+        target: row[col('Target')],
+        apply: row[col('Apply')] === true,
+        waived: row[col('Compliant')] === 'Waived'
+    })).filter(row => row.email && row.key && row.expected !== undefined && row.apply && !row.waived);
 }
 
 function applyCompliantFormatting() {
     const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEET_NAMES.DETAIL_REPORT);
-    if (!sheet) return;
+    if (!sheet || sheet.getLastRow() <= 1) return;
 
     const headers = [...HEADERS[SHEET_NAMES.DETAIL_REPORT], 'Compliant'];
     const colIndex = headers.indexOf('Compliant') + 1;
@@ -495,10 +859,52 @@ function applyCompliantFormatting() {
             .setBackground('#f4cccc')
             .setFontColor('red')
             .setRanges([range])
+            .build(),
+        SpreadsheetApp.newConditionalFormatRule()
+            .whenTextEqualTo('Waived')
+            .setBackground('#fff2cc')
+            .setFontColor('#7f6000')
+            .setRanges([range])
             .build()
     ];
 
-    sheet.setConditionalFormatRules(rules);
+    replaceColumnFormatRules(sheet, colIndex, rules);
+}
+
+/**
+ * Colours a severity column (low → critical) without dropping the sheet's other conditional rules.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet
+ * @param {string[]} headers
+ * @param {string} [column='Severity']
+ */
+function applySeverityFormatting(sheet, headers, column = 'Severity') {
+    const colIndex = headers.indexOf(column) + 1;
+    if (colIndex === 0 || sheet.getLastRow() <= 1) return;
+
+    const range = sheet.getRange(2, colIndex, sheet.getLastRow() - 1);
+    const colours = {
+        low: ['#d9ead3', '#274e13'],
+        medium: ['#fff2cc', '#7f6000'],
+        high: ['#fce5cd', '#b45f06'],
+        critical: ['#f4cccc', '#990000']
+    };
+
+    const rules = Object.entries(colours).map(([severity, [background, font]]) =>
+        SpreadsheetApp.newConditionalFormatRule()
+            .whenTextEqualTo(severity)
+            .setBackground(background)
+            .setFontColor(font)
+            .setRanges([range])
+            .build()
+    );
+
+    replaceColumnFormatRules(sheet, colIndex, rules);
+}
+
+function replaceColumnFormatRules(sheet, colIndex, rules) {
+    const others = sheet.getConditionalFormatRules()
+        .filter(rule => !rule.getRanges().some(r => r.getColumn() === colIndex));
+    sheet.setConditionalFormatRules([...others, ...rules]);
 }
 
 function logToSheet(data) {
@@ -52,6 +52,84 @@ function loadDirectoryGroupHashMap() {
     return JSON.parse(raw);
 }
 
+function storeGroupMembersHashMap(hashMap) {
+    PropertiesService.getScriptProperties().setProperty("GROUP_MEMBERS_HASH_MAP", JSON.stringify(hashMap));
+    debugLog(`💾 Stored GROUP_MEMBERS_HASH_MAP (${Object.keys(hashMap).length} entries) to ScriptProperties`);
+}
+
+function loadGroupMembersHashMap() {
+    const raw = PropertiesService.getScriptProperties().getProperty("GROUP_MEMBERS_HASH_MAP");
+    if (!raw) {
+        debugLog("📦 No GROUP_MEMBERS_HASH_MAP found in ScriptProperties");
+        return {};
+    }
+    debugLog("📦 Loaded GROUP_MEMBERS_HASH_MAP from ScriptProperties");
+    return JSON.parse(raw);
+}
+
+function storeGroupComplianceState(state) {
+    PropertiesService.getScriptProperties().setProperty("GROUP_COMPLIANCE_STATE", JSON.stringify(state));
+    debugLog(`💾 Stored GROUP_COMPLIANCE_STATE (${Object.keys(state).length} non-compliant groups) to ScriptProperties`);
+}
+
+function loadGroupComplianceState() {
+    const raw = PropertiesService.getScriptProperties().getProperty("GROUP_COMPLIANCE_STATE");
+    if (!raw) {
+        debugLog("📦 No GROUP_COMPLIANCE_STATE found in ScriptProperties");
+        return {};
+    }
+    debugLog("📦 Loaded GROUP_COMPLIANCE_STATE from ScriptProperties");
+    return JSON.parse(raw);
+}
+
+function storeCustomerDomains(domains) {
+    PropertiesService.getScriptProperties().setProperty("CUSTOMER_DOMAINS", JSON.stringify(domains));
+    debugLog(`💾 Stored CUSTOMER_DOMAINS (${domains.length} domains) to ScriptProperties`);
+}
+
+function loadCustomerDomains() {
+    const raw = PropertiesService.getScriptProperties().getProperty("CUSTOMER_DOMAINS");
+    if (!raw) {
+        debugLog("📦 No CUSTOMER_DOMAINS found in ScriptProperties");
+        return [];
+    }
+    debugLog("📦 Loaded CUSTOMER_DOMAINS from ScriptProperties");
+    return JSON.parse(raw);
+}
+
+// Profiles chosen in GROUP REQUESTS, keyed by group email; resolvePolicyProfile checks them before POLICY_PROFILE_RULES
+function storePolicyProfileAssignments(assignments) {
+    PropertiesService.getScriptProperties().setProperty("POLICY_PROFILE_ASSIGNMENTS", JSON.stringify(assignments));
+    debugLog(`💾 Stored POLICY_PROFILE_ASSIGNMENTS (${Object.keys(assignments).length} groups) to ScriptProperties`);
+}
+
+function loadPolicyProfileAssignments() {
+    const raw = PropertiesService.getScriptProperties().getProperty("POLICY_PROFILE_ASSIGNMENTS");
+    return raw ? JSON.parse(raw) : {};
+}
+
+// Change request records live here, not only on CHANGE REQUESTS, so editing the sheet cannot approve anything
+function storeChangeRequestRecord(record) {
+    PropertiesService.getScriptProperties().setProperty(`CHANGE_REQUEST_${record.requestId}`, JSON.stringify(record));
+    debugLog(`💾 Stored change request record ${record.requestId}`);
+}
+
+function loadChangeRequestRecord(requestId) {
+    const raw = PropertiesService.getScriptProperties().getProperty(`CHANGE_REQUEST_${requestId}`);
+    return raw ? JSON.parse(raw) : null;
+}
+
+function deleteChangeRequestRecord(requestId) {
+    PropertiesService.getScriptProperties().deleteProperty(`CHANGE_REQUEST_${requestId}`);
+}
+
+function listChangeRequestRecordIds() {
+    const prefix = 'CHANGE_REQUEST_';
+    return PropertiesService.getScriptProperties().getKeys()
+        .filter(key => key.startsWith(prefix))
+        .map(key => key.slice(prefix.length));
+}
+
 function saveGroupEmails(groupData) {
     if (!Array.isArray(groupData)) {
         throw new Error("❌ saveGroupEmails expected an array.");
@@ -81,6 +81,556 @@ function testHashSystem() {
     }
   }
 
+function testPolicyProfileResolution() {
+  const cases = [
+    { group: { email: 'support@example.com', name: 'Support' }, expected: 'external-support' },
+    { group: { email: 'news@example.com', name: 'News' }, expected: 'announce-only' },
+    { group: { email: 'all-staff@example.com', name: 'Company Announcements' }, expected: 'announce-only' },
+    { group: { email: 'dev-team@example.com', name: 'Dev Team' }, expected: DEFAULT_POLICY_PROFILE }
+  ];
+
+  const failures = cases.filter(({ group, expected }) => resolvePolicyProfile(group).name !== expected);
+
+  if (failures.length === 0) {
+    debugLog("✅ Test passed: Policy profiles resolved as expected.");
+  } else {
+    errorLog("❌ Test failed: Unexpected policy profile for " + failures.map(f => f.group.email).join(', '));
+  }
+}
+
+function testPolicyValueValidation() {
+  const results = [
+    validatePolicyValue('whoCanJoin', 'INVITED_CAN_JOIN') === null,
+    validatePolicyValue('whoCanJoin', 'EVERYONE') !== null,
+    validatePolicyValue('notARealKey', 'ANYTHING') !== null,
+    validatePolicyValue('allowExternalMembers', 'false') === null
+  ];
+
+  if (results.every(Boolean)) {
+    debugLog("✅ Test passed: POLICY values validated as expected.");
+  } else {
+    errorLog("❌ Test failed: POLICY validation results " + JSON.stringify(results));
+  }
+}
+
+function testWaiverMatching() {
+  const waivers = {
+    [waiverKey('support@example.com', 'whoCanPostMessage')]: { approvedValue: 'ANYONE_CAN_POST' }
+  };
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+  const results = [
+    findWaiver(waivers, 'Support@example.com', 'whoCanPostMessage', 'ANYONE_CAN_POST') !== null,
+    findWaiver(waivers, 'support@example.com', 'whoCanPostMessage', 'ALL_IN_DOMAIN_CAN_POST') === null,
+    findWaiver(waivers, 'support@example.com', 'whoCanJoin', 'ANYONE_CAN_JOIN') === null,
+    parseWaiverExpiry(yesterday).getTime() < Date.now(),
+    parseWaiverExpiry('not a date') === null
+  ];
+
+  if (results.every(Boolean)) {
+    debugLog("✅ Test passed: Waivers matched as expected.");
+  } else {
+    errorLog("❌ Test failed: Waiver results " + JSON.stringify(results));
+  }
+}
+
+function testRiskScoring() {
+  const violations = [
+    { email: 'a@example.com', profile: 'internal-team', key: 'whoCanContactOwner', severity: 'low' },
+    { email: 'b@example.com', profile: 'internal-team', key: 'whoCanViewConversations', severity: 'critical' },
+    { email: 'b@example.com', profile: 'internal-team', key: 'whoCanJoin', severity: 'high', waived: true }
+  ];
+
+  const summary = buildViolationSummary(violations.filter(v => !v.waived));
+  const passed = summary[0].email === 'b@example.com' &&
+      summary[0].riskScore === SEVERITY_WEIGHTS.critical &&
+      summary[0].highestSeverity === 'critical' &&
+      calculateRiskScore(violations) === SEVERITY_WEIGHTS.low + SEVERITY_WEIGHTS.critical;
+
+  if (passed) {
+    debugLog("✅ Test passed: Risk scores and ordering are correct.");
+  } else {
+    errorLog("❌ Test failed: Unexpected risk summary " + JSON.stringify(summary));
+  }
+}
+
+function testRestrictiveComparison() {
+  const { EXACT, ONE_OF, AT_MOST } = COMPARISON_MODES;
+  const results = [
+    isSettingCompliant('whoCanViewMembership', 'ALL_MANAGERS_CAN_VIEW', 'ALL_IN_DOMAIN_CAN_VIEW', AT_MOST),
+    !isSettingCompliant('whoCanViewMembership', 'ALL_MANAGERS_CAN_VIEW', 'ALL_IN_DOMAIN_CAN_VIEW', EXACT),
+    isSettingCompliant('whoCanJoin', 'INVITED_CAN_JOIN', 'INVITED_CAN_JOIN, CAN_REQUEST_TO_JOIN', ONE_OF),
+    getRemediationValue('whoCanJoin', 'ANYONE_CAN_JOIN', 'INVITED_CAN_JOIN, CAN_REQUEST_TO_JOIN', ONE_OF) === 'CAN_REQUEST_TO_JOIN',
+    getRemediationValue('whoCanViewMembership', 'ALL_MANAGERS_CAN_VIEW', 'ALL_IN_DOMAIN_CAN_VIEW', EXACT) === null,
+    !isTighteningChange('whoCanPostMessage', 'NONE_CAN_POST', 'ANYONE_CAN_POST'),
+    !isTighteningChange('whoCanModerateContent', 'OWNERS_ONLY', 'NONE'),
+    getRemediationValue('whoCanModerateMembers', 'NONE', 'OWNERS_AND_MANAGERS', AT_MOST) === 'OWNERS_AND_MANAGERS',
+    DEFAULT_COMPARISON_MODE === EXACT
+  ];
+
+  if (results.every(Boolean)) {
+    debugLog("✅ Test passed: Restrictiveness comparisons behave as expected.");
+  } else {
+    errorLog("❌ Test failed: Comparison results " + JSON.stringify(results));
+  }
+}
+
+function testComplianceTransitions() {
+  const previous = { 'fixed@example.com': { since: '2025-01-01T00:00:00.000Z', profile: 'internal-team' } };
+  const checked = ['fixed@example.com', 'broken@example.com', 'ok@example.com'];
+  const violations = [
+    { email: 'broken@example.com', profile: 'internal-team', key: 'whoCanJoin', severity: 'high' },
+    { email: 'ok@example.com', profile: 'internal-team', key: 'whoCanJoin', severity: 'high', waived: true }
+  ];
+
+  const { state, events } = diffGroupCompliance(previous, checked, violations);
+  const snapshot = buildComplianceSnapshot(checked, violations);
+
+  const passed = events.length === 2 &&
+      events.some(e => e.email === 'fixed@example.com' && e.event === 'Back in compliance') &&
+      events.some(e => e.email === 'broken@example.com' && e.event === 'Out of compliance') &&
+      Object.keys(state).join() === 'broken@example.com' &&
+      snapshot.groupsCompliant === 2 && snapshot.waived === 1 && snapshot.bySeverity.high === 1;
+
+  if (passed) {
+    debugLog("✅ Test passed: Compliance transitions detected as expected.");
+  } else {
+    errorLog("❌ Test failed: Unexpected compliance history " + JSON.stringify({ events, snapshot }));
+  }
+}
+
+function testAutoRemediationPlan() {
+  const config = { allowedKeys: ['whoCanJoin', 'whoCanViewGroup'] };
+  const violations = [
+    { email: 'low@example.com', key: 'whoCanJoin', actual: 'ANYONE_CAN_JOIN', target: 'INVITED_CAN_JOIN', severity: 'medium' },
+    { email: 'high@example.com', key: 'whoCanViewGroup', actual: 'ANYONE_CAN_VIEW', target: 'ALL_MEMBERS_CAN_VIEW', severity: 'critical' },
+    { email: 'high@example.com', key: 'whoCanPostMessage', actual: 'ANYONE_CAN_POST', target: 'ALL_MEMBERS_CAN_POST', severity: 'high' },
+    { email: 'waived@example.com', key: 'whoCanJoin', actual: 'ANYONE_CAN_JOIN', target: 'INVITED_CAN_JOIN', waived: true }
+  ];
+
+  const plan = planAutoRemediation(violations, config);
+  const passed = plan.length === 2 &&
+      plan[0].email === 'high@example.com' &&
+      JSON.stringify(plan[0].updates) === JSON.stringify({ whoCanViewGroup: 'ALL_MEMBERS_CAN_VIEW' }) &&
+      plan[1].email === 'low@example.com';
+
+  if (passed) {
+    debugLog("✅ Test passed: Auto-remediation plan respects allowlist, waivers and risk order.");
+  } else {
+    errorLog("❌ Test failed: Unexpected plan " + JSON.stringify(plan));
+  }
+}
+
+function testRevertPlan() {
+  const snapshot = {
+    keys: ['whoCanJoin'],
+    before: { whoCanJoin: 'ANYONE_CAN_JOIN', whoCanPostMessage: 'ANYONE_CAN_POST', etag: 'a' },
+    after: { whoCanJoin: 'INVITED_CAN_JOIN', whoCanPostMessage: 'ANYONE_CAN_POST', etag: 'b' }
+  };
+
+  const clean = buildRevertPlan(snapshot, { ...snapshot.after, etag: 'c' });
+  const drifted = buildRevertPlan(snapshot, { ...snapshot.after, whoCanPostMessage: 'NONE_CAN_POST' });
+
+  const passed = JSON.stringify(clean.payload) === JSON.stringify({ whoCanJoin: 'ANYONE_CAN_JOIN' }) &&
+      clean.conflicts.length === 0 &&
+      JSON.stringify(drifted.conflicts) === JSON.stringify(['whoCanPostMessage']);
+
+  if (passed) {
+    debugLog("✅ Test passed: Revert plan restores updated keys and flags later changes.");
+  } else {
+    errorLog("❌ Test failed: Revert plans " + JSON.stringify({ clean, drifted }));
+  }
+}
+
+function testApprovalRules() {
+  const approvers = ['lead@example.com', 'secops@example.com'];
+  const results = [
+    validateApproval('Lead@example.com', 'dev@example.com', approvers) === null,
+    validateApproval('lead@example.com', 'LEAD@example.com', approvers) !== null,
+    validateApproval('dev@example.com', 'lead@example.com', approvers) !== null,
+    validateApproval('', 'dev@example.com', approvers) !== null,
+    validateApproval('secops@example.com', null, approvers) === null,
+    validateApproval('lead@example.com', 'dev@example.com', []) !== null
+  ];
+
+  if (results.every(Boolean)) {
+    debugLog("✅ Test passed: Two-person approval rules enforced.");
+  } else {
+    errorLog("❌ Test failed: Approval results " + JSON.stringify(results));
+  }
+}
+
+function testMemberHashing() {
+  const owner = normalizeGroupMember('team@example.com', { email: 'Owner@Example.com', role: 'OWNER', type: 'USER', status: 'ACTIVE', id: '1' });
+  const member = normalizeGroupMember('team@example.com', { email: 'dev@example.com', role: 'MEMBER', type: 'USER', status: 'ACTIVE', id: '2' });
+  const promoted = { ...member, role: 'MANAGER' };
+
+  const passed = owner.email === 'owner@example.com' &&
+      hashGroupMembers([owner, member]) === hashGroupMembers([member, owner]) &&
+      hashGroupMembers([owner, member]) !== hashGroupMembers([owner, promoted]);
+
+  if (passed) {
+    debugLog("✅ Test passed: Member hash ignores order and detects role changes.");
+  } else {
+    errorLog("❌ Test failed: Member hashing");
+  }
+}
+
+function testExternalMemberDetection() {
+  const domain = getWorkspaceDomain();
+  const derived = deriveMembershipSettings({
+    'internal@example.com': [{ email: `dev@${domain}`, type: 'USER' }, { email: '', id: 'C01', type: 'CUSTOMER' }],
+    'mixed@example.com': [{ email: `dev@${domain}`, type: 'USER' }, { email: 'partner@vendor.com', type: 'USER' }]
+  });
+
+  const passed = derived['internal@example.com'].externalMembers === 'NONE' &&
+      derived['mixed@example.com'].externalMembers === 'PRESENT' &&
+      !isSettingCompliant('externalMembers', 'PRESENT', 'NONE') &&
+      getRemediationValue('externalMembers', 'PRESENT', 'NONE') === null;
+
+  if (passed) {
+    debugLog("✅ Test passed: External members detected and never auto-remediated.");
+  } else {
+    errorLog("❌ Test failed: External member detection " + JSON.stringify(derived));
+  }
+}
+
+function testOwnershipStates() {
+  const user = (role, status = 'ACTIVE') => ({ email: `${role.toLowerCase()}@example.com`, role, type: 'USER', status });
+  const results = [
+    getOwnershipState([user('MEMBER')], 2) === 'NO_OWNER',
+    getOwnershipState([user('OWNER', 'SUSPENDED'), user('MANAGER')], 2) === 'INACTIVE_OWNER',
+    getOwnershipState([user('OWNER'), user('MANAGER', 'SUSPENDED')], 2) === 'UNDER_MANAGED',
+    getOwnershipState([user('OWNER'), user('MANAGER')], 2) === 'OK',
+    getOwnershipState([{ email: 'admins@example.com', role: 'OWNER', type: 'GROUP' }], 1) === 'OK',
+    getOwnershipState([user('OWNER'), { ...user('OWNER', 'SUSPENDED'), email: 'left@example.com' }, user('MANAGER')], 2) === 'INACTIVE_OWNER',
+    deriveMembershipSettings({}, [{ email: 'Empty@example.com', directMembersCount: '0' }])['empty@example.com']?.ownership === 'NO_OWNER',
+    deriveMembershipSettings({}, [{ email: 'new@example.com', directMembersCount: '4' }])['new@example.com'] === undefined
+  ];
+
+  const membersByGroup = {
+    'team@example.com': [user('OWNER'), { ...user('OWNER', 'SUSPENDED'), email: 'a@example.com' }, { ...user('OWNER', 'DELETED'), email: 'b@example.com' }]
+  };
+  const expanded = expandInactiveOwnerViolations([
+    { email: 'team@example.com', key: 'ownership', actual: 'INACTIVE_OWNER' },
+    { email: 'team@example.com', key: 'whoCanJoin', actual: 'ANYONE_CAN_JOIN' }
+  ], membersByGroup);
+  results.push(expanded.length === 3 && expanded[1].change === 'Owner b@example.com is DELETED' && !expanded[2].change);
+
+  if (results.every(Boolean)) {
+    debugLog("✅ Test passed: Ownership states classified correctly.");
+  } else {
+    errorLog("❌ Test failed: Ownership states " + JSON.stringify(results));
+  }
+}
+
+function testNestedGroupExpansion() {
+  const group = email => ({ email, role: 'MEMBER', type: 'GROUP' });
+  const user = email => ({ email, role: 'MEMBER', type: 'USER', status: 'ACTIVE' });
+  const membersByGroup = {
+    'all@example.com': [user('a@example.com'), group('eng@example.com')],
+    'eng@example.com': [user('b@example.com'), group('ops@example.com')],
+    'ops@example.com': [user('a@example.com'), group('eng@example.com')]
+  };
+
+  const all = expandGroupMembership('all@example.com', membersByGroup);
+  const passed = all.effectiveMembers.length === 2 &&
+      all.depth === 2 &&
+      JSON.stringify(all.cycle) === JSON.stringify(['eng@example.com', 'ops@example.com', 'eng@example.com']) &&
+      getNestingState(all) === 'CYCLE' &&
+      getNestingState({ depth: 4, cycle: null }, 3) === 'TOO_DEEP';
+
+  if (passed) {
+    debugLog("✅ Test passed: Nested groups expanded with depth and cycle detection.");
+  } else {
+    errorLog("❌ Test failed: Nested expansion " + JSON.stringify(all));
+  }
+}
+
+function testMembershipDiff() {
+  const before = [{ email: 'a@example.com', role: 'OWNER' }, { email: 'b@example.com', role: 'MEMBER' }];
+  const after = [{ email: 'a@example.com', role: 'MEMBER' }, { email: 'c@example.com', role: 'MANAGER' }];
+
+  const changes = diffGroupMembers('finance@example.com', before, after);
+  const find = action => changes.find(c => c.action === action) || {};
+  const passed = changes.length === 3 &&
+      find('Role Changed').memberEmail === 'a@example.com' && find('Role Changed').oldRole === 'OWNER' &&
+      find('Member Added').memberEmail === 'c@example.com' && find('Member Added').newRole === 'MANAGER' &&
+      find('Member Removed').memberEmail === 'b@example.com';
+
+  if (passed) {
+    debugLog("✅ Test passed: Membership diff lists additions, removals and role changes.");
+  } else {
+    errorLog("❌ Test failed: Membership diff " + JSON.stringify(changes));
+  }
+}
+
+function testMembershipSyncPlan() {
+  const intended = [{ email: 'a@example.com', role: 'MEMBER' }, { email: 'c@example.com', role: 'MANAGER' }];
+  const live = [{ email: 'a@example.com', role: 'OWNER' }, { email: 'b@example.com', role: 'MEMBER' }, { email: 'C01abc', role: 'MEMBER', type: 'CUSTOMER' }];
+
+  const plan = buildMembershipSyncPlan('fin@example.com', intended, live);
+  const actions = plan.map(p => `${p.action}:${p.memberEmail}`).sort();
+  const stale = { memberEmail: 'a@example.com', action: 'Change Role', currentRole: 'MEMBER' };
+  const passed = JSON.stringify(actions) === JSON.stringify(['Add:c@example.com', 'Change Role:a@example.com', 'Remove:b@example.com']) &&
+      buildMembershipSyncPlan('fin@example.com', live.slice(0, 2), live).length === 0 &&
+      checkMembershipSyncAction(stale, { members: live }) === 'role is now OWNER, planned from MEMBER' &&
+      checkMembershipSyncAction({ ...stale, currentRole: 'OWNER' }, { members: live }) === null &&
+      checkMembershipSyncAction({ memberEmail: 'C01abc', action: 'Remove', currentRole: 'MEMBER' }, { members: live }) !== null &&
+      checkMembershipSyncAction({ memberEmail: 'b@example.com', action: 'Add' }, { members: live }) !== null &&
+      checkMembershipSyncAction(stale, { error: true }) !== null;
+
+  if (passed) {
+    debugLog("✅ Test passed: Membership sync plan reconciles source and live membership and re-checks it before applying.");
+  } else {
+    errorLog("❌ Test failed: Membership sync plan " + JSON.stringify(plan));
+  }
+}
+
+function testLifecycleClassification() {
+  const now = new Date('2026-06-01T00:00:00Z');
+  const policy = { lookbackDays: 180, dormantDays: 90, staleDays: 180 };
+  const recent = '2026-05-20T00:00:00Z';
+  const old = '2025-01-01T00:00:00Z';
+
+  const cases = [
+    { group: { directMembersCount: 0 }, activity: recent, change: recent, expected: 'Empty' },
+    { group: { directMembersCount: 5 }, activity: old, change: recent, expected: 'Dormant' },
+    { group: { directMembersCount: 5 }, activity: recent, change: old, expected: 'Stale' },
+    { group: { directMembersCount: 5 }, activity: '', change: '', expected: 'Dormant, Stale' },
+    { group: { directMembersCount: 5 }, activity: '', change: recent, expected: 'Dormant' },
+    { group: { directMembersCount: 5 }, activity: null, change: null, expected: '' },
+    { group: { directMembersCount: 5 }, activity: recent, change: recent, expected: '' }
+  ];
+
+  const failures = cases.filter(c =>
+      classifyGroupLifecycle(c.group, c.activity, c.change, now, policy).join(', ') !== c.expected);
+
+  if (failures.length === 0) {
+    debugLog("✅ Test passed: Lifecycle classification flags empty, dormant and stale groups, never ones whose fetch failed.");
+  } else {
+    errorLog("❌ Test failed: Lifecycle classification " + JSON.stringify(failures));
+  }
+}
+
+function testGroupAliasResolution() {
+  const groups = [
+    { email: 'Finance@example.com', aliases: ['fin@example.com'], nonEditableAliases: ['finance@example.test-google-a.com'] },
+    { email: 'hr@example.com' }
+  ];
+  const index = buildGroupAliasIndex(groups);
+
+  const passed = resolveGroupEmail('FIN@example.com', index) === 'finance@example.com' &&
+      resolveGroupEmail('finance@example.test-google-a.com', index) === 'finance@example.com' &&
+      resolveGroupEmail(' hr@example.com ', index) === 'hr@example.com' &&
+      resolveGroupEmail('unknown@example.com', index) === 'unknown@example.com' &&
+      hashGroupList([{ ...groups[0], aliases: ['a@example.com', 'b@example.com'] }]) === hashGroupList([{ ...groups[0], aliases: ['b@example.com', 'a@example.com'] }]) &&
+      hashGroupList([groups[0]]) !== hashGroupList([{ ...groups[0], aliases: [] }]) &&
+      filterGroups(groups, ['fin@']).length === 1;
+
+  if (passed) {
+    debugLog("✅ Test passed: Group aliases resolve to the primary email and feed the group list hash.");
+  } else {
+    errorLog("❌ Test failed: Group alias resolution " + JSON.stringify(index));
+  }
+}
+
+function testWorkspaceDomainSelection() {
+  const available = ['grey-box.ca', 'labs.grey-box.ca', 'greybox.org'];
+
+  const passed = JSON.stringify(selectWorkspaceDomains(available, [])) === JSON.stringify(available) &&
+      JSON.stringify(selectWorkspaceDomains(available, ['greybox.org', 'unknown.com'])) === JSON.stringify(['greybox.org']) &&
+      getEmailDomain('Team@Labs.Grey-Box.ca') === 'labs.grey-box.ca' &&
+      getEmailDomain('not-an-email') === '';
+
+  if (passed) {
+    debugLog("✅ Test passed: Workspace domains are narrowed to the configured subset.");
+  } else {
+    errorLog("❌ Test failed: Workspace domain selection");
+  }
+}
+
+function testProvisioningSettings() {
+  const settings = buildProvisioningSettings('announce-only');
+  const expected = POLICY_PROFILES['announce-only'];
+
+  const passed = settings.whoCanPostMessage === expected.whoCanPostMessage &&
+      settings.whoCanJoin === expected.whoCanJoin &&
+      Object.keys(settings).every(key => GROUP_SETTINGS_SCHEMA[key]) &&
+      !('ownership' in settings);
+
+  if (passed) {
+    debugLog("✅ Test passed: Provisioning settings match the profile and skip membership keys.");
+  } else {
+    errorLog("❌ Test failed: Provisioning settings " + JSON.stringify(settings));
+  }
+}
+
+function testNamingRules() {
+  const policy = { prefixes: ['team-', 'ext-'], requireDescription: true, lowercaseEmail: true, exemptEmails: ['postmaster@example.com'], exemptEmailPattern: '^support@' };
+  const rules = group => lintGroupName(group, policy).map(f => f.rule).sort().join(',');
+
+  const passed = rules({ email: 'team-finance@example.com', description: 'Finance team' }) === '' &&
+      rules({ email: 'Finance@example.com', description: '' }) === 'lowercaseEmail,prefixes,requireDescription' &&
+      rules({ email: 'postmaster@example.com' }) === '' &&
+      rules({ email: 'support@example.com' }) === '' &&
+      lintGroupName({ email: 'finance@example.com', description: 'x' }, policy)[0].suggestion.startsWith('Rename to team-finance@example.com');
+
+  if (passed) {
+    debugLog("✅ Test passed: Naming rules flag prefix, description and case problems.");
+  } else {
+    errorLog("❌ Test failed: Naming rules");
+  }
+}
+
+function testGroupListEditDetection() {
+  const stored = [
+    { email: 'team-eng@example.com', name: 'Eng', description: 'Engineering' },
+    { email: 'team-ops@example.com', name: 'Ops' }
+  ];
+  const cells = {
+    'team-eng@example.com': { row: 2, name: 'Engineering', description: 'Engineering' },
+    'team-ops@example.com': { row: 3, name: 'Ops', description: 'Not Found' }
+  };
+
+  const edits = detectGroupListEdits(cells, stored);
+  // The directory renamed team-eng meanwhile, so the sheet edit must not survive the refresh
+  const merged = mergePendingGroupListEdits([{ ...stored[0], name: 'Eng Team' }], stored, cells);
+
+  const passed = edits.length === 1 &&
+      edits[0].email === 'team-eng@example.com' &&
+      JSON.stringify(edits[0].changes) === JSON.stringify({ name: { from: 'Eng', to: 'Engineering' } }) &&
+      merged[0].name === 'Eng Team' &&
+      merged[0].pendingChanges.includes('discarded') &&
+      mergePendingGroupListEdits(stored, stored, cells)[0].name === 'Engineering';
+
+  if (passed) {
+    debugLog("✅ Test passed: GROUP LIST edits detected and discarded when changed in the directory.");
+  } else {
+    errorLog("❌ Test failed: GROUP LIST edit detection");
+  }
+}
+
+function testUserGroupLookup() {
+  const result = lookupUserGroups('not-an-email');
+  const picked = pickUserLookupSettings({ whoCanViewGroup: 'ALL_MEMBERS_CAN_VIEW', whoCanJoin: 'ANYONE_CAN_JOIN' });
+
+  const passed = result.error !== undefined &&
+      pickUserLookupSettings(null) === null &&
+      Object.keys(picked).join(',') === USER_LOOKUP_SETTINGS.join(',') &&
+      picked.whoCanViewGroup === 'ALL_MEMBERS_CAN_VIEW' &&
+      picked.whoCanPostMessage === '';
+
+  if (passed) {
+    debugLog("✅ Test passed: User lookup rejects bad input and picks the lookup settings.");
+  } else {
+    errorLog("❌ Test failed: User group lookup");
+  }
+}
+
+function testUserGroupLookupNesting() {
+  // u is in a and b; a and b are both in c, b is in d, c is in e, and d is in a again
+  const parents = {
+    'u@example.com': ['a@example.com', 'b@example.com'],
+    'a@example.com': ['c@example.com'],
+    'b@example.com': ['c@example.com', 'd@example.com'],
+    'c@example.com': ['e@example.com'],
+    'd@example.com': ['a@example.com'],
+    'e@example.com': []
+  };
+  const roles = { 'b@example.com|u@example.com': 'OWNER', 'c@example.com|a@example.com': 'MANAGER' };
+
+  const stubbed = { fetchUser, fetchMemberGroups, fetchGroupMember, fetchCurrentGroupSettings };
+  fetchUser = email => ({ email, name: 'U', suspended: false });
+  fetchMemberGroups = key => (parents[key] || []).map(email => ({ email, name: email.split('@')[0] }));
+  fetchGroupMember = (group, key) => group === 'd@example.com' ? null : ({ role: roles[`${group}|${key}`] || 'MEMBER' });
+  fetchCurrentGroupSettings = () => ({ whoCanViewGroup: 'ALL_MEMBERS_CAN_VIEW' });
+
+  let result;
+  try {
+    result = lookupUserGroups('U@example.com');
+  } finally {
+    ({ fetchUser, fetchMemberGroups, fetchGroupMember, fetchCurrentGroupSettings } = stubbed);
+  }
+
+  const byEmail = {};
+  (result.groups || []).forEach(g => byEmail[g.email] = g);
+  const passed = result.groups.length === 5 &&
+      byEmail['a@example.com'].direct && byEmail['a@example.com'].role === 'MEMBER' &&
+      byEmail['b@example.com'].direct && byEmail['b@example.com'].role === 'OWNER' &&
+      !byEmail['c@example.com'].direct && byEmail['c@example.com'].via.join() === 'a@example.com' &&
+      byEmail['c@example.com'].role === 'MANAGER' &&
+      byEmail['d@example.com'].via.join() === 'b@example.com' && byEmail['d@example.com'].role === 'UNKNOWN' &&
+      byEmail['e@example.com'].via.join() === 'a@example.com,c@example.com' &&
+      byEmail['e@example.com'].settings.whoCanViewGroup === 'ALL_MEMBERS_CAN_VIEW';
+
+  if (passed) {
+    debugLog("✅ Test passed: User lookup walks nested groups once each, by the shortest path, without guessing unreadable roles.");
+  } else {
+    errorLog("❌ Test failed: User group lookup nesting " + JSON.stringify(result.groups));
+  }
+}
+
+function testGroupSettingsResponseClassification() {
+  const response = (code, body) => ({ getResponseCode: () => code, getContentText: () => body });
+  const hashMap = {};
+  const options = { hashMap, bypassHash: false };
+  const body = JSON.stringify({ whoCanJoin: 'INVITED_CAN_JOIN' });
+
+  const first = classifyGroupSettingsResponse('a@example.com', response(200, body), options);
+  const second = classifyGroupSettingsResponse('a@example.com', response(200, body), options);
+
+  const passed = first.hashes !== undefined && !first.unchanged &&
+      hashMap['a@example.com'] !== undefined &&
+      second.unchanged === true &&
+      classifyGroupSettingsResponse('b@example.com', response(304, ''), options).unchanged === true &&
+      classifyGroupSettingsResponse('c@example.com', response(500, 'boom'), options).error === true;
+
+  if (passed) {
+    debugLog("✅ Test passed: Batched settings responses are classified as changed, unchanged and errored.");
+  } else {
+    errorLog("❌ Test failed: Group settings response classification");
+  }
+}
+
+function testHttpRetryDelay() {
+  const response = (code, headers = {}) => ({ getResponseCode: () => code, getHeaders: () => headers });
+
+  const throttled = getRetryDelay('GET', response(429, { 'Retry-After': '5' }), 0);
+  const backoff = getRetryDelay('GET', response(503), 2);
+
+  const passed = throttled === 5000 &&
+      backoff >= HTTP_RETRY.baseDelayMs * 2 && backoff <= HTTP_RETRY.baseDelayMs * 4 &&
+      getRetryDelay('GET', response(404), 0) === null &&
+      getRetryDelay('POST', response(503), 0) === null &&
+      getRetryDelay('GET', response(500), HTTP_RETRY.maxRetries) === null &&
+      parseRetryAfter(response(429, { 'retry-after': new Date(Date.now() + 60000).toUTCString() })) > 50000;
+
+  if (passed) {
+    debugLog("✅ Test passed: Retry delays honour Retry-After, back off exponentially and skip non-retryable responses.");
+  } else {
+    errorLog("❌ Test failed: HTTP retry delay");
+  }
+}
+
+function testGroupsAppAuditEventParsing() {
+  const activity = { actor: { email: 'owner@example.com' }, id: { time: '2025-03-01T10:00:00Z' } };
+  const groupsApp = parseGroupAuditEvent(activity, { name: 'change_basic_setting', parameters: [{ name: 'group_email', value: 'Team@Example.com' }] });
+  const admin = parseGroupAuditEvent(activity, { name: 'CHANGE_GROUP_SETTING', parameters: [{ name: 'GROUP_EMAIL', value: 'team@example.com' }, { name: 'SETTING_NAME', value: 'WHO_CAN_JOIN' }] });
+
+  const passed = groupsApp.email === 'team@example.com' &&
+      groupsApp.actor === 'owner@example.com' &&
+      groupsApp.setting === 'change_basic_setting' &&
+      admin.email === 'team@example.com' &&
+      admin.setting === 'WHO_CAN_JOIN';
+
+  if (passed) {
+    debugLog("✅ Test passed: Admin and Google Groups audit events are parsed alike.");
+  } else {
+    errorLog("❌ Test failed: Groups app audit event parsing");
+  }
+}
+
 function testInitializeSheets() {
   initializeAllSheets();
   Logger.log("✅ Ran initializeAllSheets to create and format all defined sheets.");
@@ -137,9 +687,10 @@ function simulateUpdateGroupSettings() {
     }
 
     const updates = {};
-    violations.forEach(({ email, key, expected }) => {
+    violations.forEach(({ email, key, actual, target }) => {
+      if (!target || !isTighteningChange(key, actual, target)) return;
       if (!updates[email]) updates[email] = {};
-      updates[email][key] = expected;
+      updates[email][key] = target;
     });
 
     const results = [];
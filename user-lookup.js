@@ -0,0 +1,65 @@
+// ===========================
+// 🔍 USER LOOKUP MODULE — Which Groups a User Belongs To
+// ===========================
+
+/**
+ * Lists every group a user belongs to, directly or through nested groups, with the user's role and
+ * the group's USER_LOOKUP_SETTINGS. Reads the Directory and Groups Settings APIs live, so it works
+ * for groups outside the GROUP MEMBERS inventory too. Called by the User Lookup sidebar.
+ *
+ * Nested membership is found by walking up from the user: the groups it is in, then the groups those
+ * groups are in, and so on. Each group is listed once, by its shortest path.
+ *
+ * @param {string} email - User primary email or alias.
+ * @returns {{user?: Object, groups?: Object[], incomplete?: string[], error?: string}}
+ *   Each group: {email, name, direct, role, via, settings}. `role` is the user's role for direct
+ *   groups and the nested group's role otherwise, or 'UNKNOWN' if it could not be read; `via` is the
+ *   chain of groups from the user's direct group down to this one. `incomplete` lists members whose groups could not be listed.
+ */
+function lookupUserGroups(email) {
+    const address = String(email || '').trim().toLowerCase();
+    if (!address.includes('@')) return { error: 'Enter a user email address.' };
+
+    const user = fetchUser(address);
+    if (!user) return { error: `${address} is not a user in this Workspace.` };
+
+    const groups = {};
+    const incomplete = [];
+    const queue = [{ memberKey: user.email, path: [] }];
+
+    while (queue.length > 0) {
+        const { memberKey, path } = queue.shift();
+        const parents = fetchMemberGroups(memberKey);
+        if (!parents) {
+            incomplete.push(memberKey);
+            continue;
+        }
+
+        parents.filter(parent => !groups[parent.email]).forEach(parent => {
+            const membership = fetchGroupMember(parent.email, memberKey);
+            if (!membership) warnLog(`⚠️ Could not read ${memberKey}'s role in ${parent.email}`);
+            groups[parent.email] = {
+                email: parent.email,
+                name: parent.name,
+                direct: path.length === 0,
+                role: membership ? membership.role : 'UNKNOWN',
+                via: path
+            };
+            queue.push({ memberKey: parent.email, path: [...path, parent.email] });
+        });
+    }
+
+    const results = Object.values(groups)
+        .sort((a, b) => a.via.length - b.via.length || a.email.localeCompare(b.email))
+        .map(group => ({ ...group, settings: pickUserLookupSettings(fetchCurrentGroupSettings(group.email)) }));
+
+    infoLog(`🔍 ${user.email} belongs to ${results.length} group(s) (${results.filter(g => g.direct).length} direct)`);
+    return { user, groups: results, incomplete };
+}
+
+function pickUserLookupSettings(settings) {
+    if (!settings) return null;
+    const picked = {};
+    USER_LOOKUP_SETTINGS.forEach(key => picked[key] = settings[key] ?? '');
+    return picked;
+}
@@ -8,11 +8,13 @@ function byteArrayToHex(bytes) {
 
 function benchmark(label, fn, thresholdMs = 2000) {
     const start = Date.now();
+    const requestsBefore = getHttpStats();
     const result = fn();
     const ms = Date.now() - start;
     const seconds = (ms / 1000).toFixed(2);
 
     debugLog(`⏱️ ${label} completed in ${seconds}s (${ms}ms)`);
+    logHttpStats(label, requestsBefore);
 
     if (ms > thresholdMs) {
         warnSlowOperation(label, ms);
@@ -26,9 +28,21 @@ function warnSlowOperation(label, ms) {
     errorLog(`⚠️ Performance warning: "${label}" took ${seconds}s (${ms}ms)`);
 }
 
-function generateGroupSettingsHashPair(settings) {
-    const keysToTrack = Object.keys(UPDATED_SETTINGS).sort();
-    const businessData = {};
+/**
+ * Computes the business hash (profile-tracked keys only) and full hash of a group's settings.
+ * The profile name and its expectations are part of the business hash, so reassigning a group
+ * or editing its POLICY rows re-triggers evaluation.
+ *
+ * @param {Object} settings - Raw settings (or directory group) object.
+ * @param {{name: string, settings: Object}} [profile] - Defaults to the profile resolved for the group.
+ * @returns {{businessHash: string, fullHash: string}}
+ */
+function generateGroupSettingsHashPair(settings, profile = resolvePolicyProfile(settings)) {
+    const keysToTrack = Object.keys(profile.settings).sort();
+    const businessData = {
+        profile: profile.name,
+        policy: keysToTrack.map(k => [k, profile.settings[k], getPolicyMode(profile.name, k)])
+    };
     keysToTrack.forEach(k => businessData[k] = settings[k] ?? null);
 
     const businessHash = Utilities.base64Encode(
@@ -67,13 +81,24 @@ function getGroupsWithHashChanges(newMap, oldMap = loadGroupSettingsHashMap()) {
     }, []);
 }
 
+/**
+ * Returns groups that existed in the old map and whose business hash changed (settings drift).
+ */
+function getGroupsWithBusinessHashChanges(newMap, oldMap) {
+    return Object.entries(newMap)
+        .filter(([email, newHashes]) => oldMap[email] && oldMap[email].businessHash !== newHashes.businessHash)
+        .map(([email]) => email);
+}
+
 function hashGroupList(dataArray) {
     const simplified = dataArray.map(group => ({
         email: group.email,
         name: group.name,
         description: group.description,
         directMembersCount: group.directMembersCount || 0,
-        adminCreated: group.adminCreated || false
+        adminCreated: group.adminCreated || false,
+        aliases: [...(group.aliases || [])].sort(),
+        nonEditableAliases: [...(group.nonEditableAliases || [])].sort()
     }));
 
     const sorted = simplified.sort((a, b) => (a.email || '').localeCompare(b.email || ''));
@@ -92,11 +117,12 @@ function buildAuthHeaders({ json = false, etag = null } = {}) {
     return headers;
 }
 
-function fetchWithDefaults(url, options = {}) {
-    return UrlFetchApp.fetch(url, {
-        muteHttpExceptions: true,
-        ...options
-    });
+/**
+ * Returns a sortable, human-typeable ID for one settings update batch, e.g. "20250301T141500-9f2c".
+ */
+function generateBatchId() {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15);
+    return `${stamp}-${Utilities.getUuid().slice(0, 4)}`;
 }
 
 function normalizeDirectoryGroup(group) {
@@ -106,10 +132,99 @@ function normalizeDirectoryGroup(group) {
         description: group.description,
         directMembersCount: group.directMembersCount || 0,
         adminCreated: group.adminCreated || false,
+        aliases: group.aliases || [],
+        nonEditableAliases: group.nonEditableAliases || [],
         etag: group.etag || 'Not Found'
     };
 }
 
+/**
+ * Maps every group's primary email and aliases (editable or not), lowercased, to its primary email.
+ *
+ * @param {Object[]} groups - Normalized groups, e.g. GROUP_NORMALIZED_DATA.
+ * @returns {Object<string, string>}
+ */
+function buildGroupAliasIndex(groups) {
+    const index = {};
+    groups.forEach(group => {
+        if (!group.email) return;
+        [group.email, ...(group.aliases || []), ...(group.nonEditableAliases || [])]
+            .forEach(address => index[String(address).toLowerCase()] = group.email.toLowerCase());
+    });
+    return index;
+}
+
+// Built from GROUP_NORMALIZED_DATA on first use; listGroups resets it after storing fresh data
+let groupAliasIndex = null;
+
+function getGroupAliasIndex() {
+    if (!groupAliasIndex) groupAliasIndex = buildGroupAliasIndex(getStoredData("GROUP_NORMALIZED_DATA") || []);
+    return groupAliasIndex;
+}
+
+/**
+ * Returns the primary email for a group address or alias; unknown addresses come back lowercased as given.
+ *
+ * @param {string} address
+ * @param {Object<string, string>} [aliasIndex=getGroupAliasIndex()]
+ * @returns {string}
+ */
+function resolveGroupEmail(address, aliasIndex = getGroupAliasIndex()) {
+    const key = String(address || '').trim().toLowerCase();
+    return aliasIndex[key] || key;
+}
+
+/**
+ * Flattens a Directory API member into the GROUP MEMBERS row shape.
+ * CUSTOMER members (the whole domain) have no email, so their customer ID is used instead.
+ */
+function normalizeGroupMember(groupEmail, member) {
+    return {
+        groupEmail,
+        email: member.email ? member.email.toLowerCase() : (member.id || ''),
+        role: member.role || 'MEMBER',
+        type: member.type || 'USER',
+        status: member.status || '',
+        deliverySettings: member.delivery_settings || '',
+        id: member.id || ''
+    };
+}
+
+function getEmailDomain(email) {
+    return (String(email || '').split('@')[1] || '').toLowerCase();
+}
+
+// Built from CUSTOMER_DOMAINS on first use; resolveWorkspaceDomains resets it after a refresh
+let internalDomains = null;
+
+/**
+ * Every domain and domain alias of the customer (last fetched by resolveWorkspaceDomains),
+ * or just the configured Workspace domain if they have never been fetched.
+ * @returns {Set<string>}
+ */
+function getInternalDomains() {
+    if (!internalDomains) {
+        const names = loadCustomerDomains().reduce((all, d) => all.concat(d.domainName, d.aliases || []), []);
+        internalDomains = new Set((names.length > 0 ? names : [getWorkspaceDomain()]).map(d => d.toLowerCase()));
+    }
+    return internalDomains;
+}
+
+/**
+ * True when an address belongs to one of the customer's domains (subdomains excluded).
+ */
+function isInternalEmail(email) {
+    const domain = getEmailDomain(email);
+    return Boolean(domain) && getInternalDomains().has(domain);
+}
+
+function hashGroupMembers(members) {
+    const normalized = members
+        .map(m => [m.email, m.role, m.type, m.status, m.deliverySettings].join('|'))
+        .sort();
+    return byteArrayToHex(Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(normalized)));
+}
+
 function resolveExecutionOptions(overrides) {
     overrides = overrides || {};
 
@@ -132,7 +247,7 @@ function resolveExecutionOptions(overrides) {
  */
 function filterGroups(groupData, whitelist = [], blacklist = []) {
     return groupData.filter(group => {
-        const target = `${group.email || ''} ${group.name || ''}`.toLowerCase();
+        const target = [group.email, group.name, ...(group.aliases || []), ...(group.nonEditableAliases || [])].join(' ').toLowerCase();
 
         const isBlacklisted = blacklist.some(term =>
             target.includes(term.toLowerCase())